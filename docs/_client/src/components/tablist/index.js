@@ -9,28 +9,9 @@ const { list, panel } = getClassnames(siteClassNames.tablist);
 const tabs = document.querySelector(list);
 const panels = document.querySelectorAll(panel);
 
-// Create the Tablist.
+// Create the Tablist, activating the tab whose panel matches the URL hash.
 const tablist = new Tablist({ // eslint-disable-line no-unused-vars
   tabs,
   panels,
+  hashSync: true,
 });
-
-window.addEventListener('load', tablistHashCheck);
-window.addEventListener('hashchange', tablistHashCheck);
-
-/**
- * Check for a hash in the URL and activate the corresponding tab.
- */
-function tablistHashCheck() {
-  const hash = window.location.hash.replace('#', '');
-  const el = document.getElementById(hash);
-
-  if (null !== el && el.tablist instanceof Tablist) {
-    const index = tablist.panels.indexOf(el);
-
-    if (-1 < index) {
-      tablist.switchTo(index);
-      el.scrollIntoView({ behavior: 'smooth' });
-    }
-  }
-}
@@ -1,21 +1,29 @@
 import AriaComponent from './src/AriaComponent';
+import Accordion from './src/Accordion';
+import Combobox from './src/Combobox';
 import Listbox from './src/Listbox';
 import MenuBar from './src/MenuBar';
 import Menu from './src/Menu';
 import Popup from './src/Popup';
 import Disclosure from './src/Disclosure';
+import DisclosureGroup from './src/DisclosureGroup';
 import Dialog from './src/Dialog';
 import Tablist from './src/Tablist';
 import MenuButton from './src/MenuButton';
+import TreeView from './src/TreeView';
 
 export {
   AriaComponent,
+  Accordion,
+  Combobox,
   Listbox,
   MenuBar,
   Menu,
   Popup,
   Disclosure,
+  DisclosureGroup,
   Dialog,
   Tablist,
   MenuButton,
+  TreeView,
 };
@@ -0,0 +1,220 @@
+/* eslint-disable max-len */
+import { Accordion, Disclosure } from 'root';
+import { events } from '../lib/events';
+
+const {
+  click,
+  keydownReturn,
+  keydownUp,
+  keydownDown,
+  keydownHome,
+  keydownEnd,
+} = events;
+
+const accordionMarkup = `
+  <div class="accordion">
+    <h3><button>Personal information</button></h3>
+    <div><p>Name and address</p></div>
+    <h3><button>Billing address</button></h3>
+    <div><p>Street and city</p></div>
+    <h3><button>Shipping address</button></h3>
+    <div><p>Street and city</p></div>
+  </div>
+`;
+
+// Set up our document body
+document.body.innerHTML = accordionMarkup;
+
+const container = document.querySelector('.accordion');
+const controllers = Array.from(document.querySelectorAll('button'));
+const panels = Array.from(document.querySelectorAll('h3 + div'));
+
+let accordion = {};
+
+// Mock functions.
+const onStateChange = jest.fn();
+const onInit = jest.fn();
+const onDestroy = jest.fn();
+
+describe('Accordion with default configuration', () => {
+  beforeAll(() => {
+    accordion = new Accordion({
+      container,
+      onStateChange,
+      onInit,
+      onDestroy,
+    });
+  });
+
+  describe('Accordion adds and manipulates DOM element attributes', () => {
+    it('Should be instantiated as expected', () => {
+      expect(accordion).toBeInstanceOf(Accordion);
+      expect(container.accordion).toBeInstanceOf(Accordion);
+
+      expect(accordion.controllers).toEqual(controllers);
+      expect(accordion.panels).toEqual(panels);
+      expect(accordion.getState().expanded).toEqual([]);
+
+      accordion.disclosures.forEach((disclosure) => {
+        expect(disclosure).toBeInstanceOf(Disclosure);
+      });
+
+      expect(onInit).toHaveBeenCalled();
+    });
+
+    it('Should add the correct attributes', () => {
+      controllers.forEach((controller, index) => {
+        expect(controller.getAttribute('aria-expanded')).toEqual('false');
+        expect(controller.getAttribute('aria-controls')).toEqual(panels[index].id);
+        expect(controller.getAttribute('aria-owns')).toBeNull();
+        expect(controller.getAttribute('aria-disabled')).toBeNull();
+      });
+
+      panels.forEach((panel, index) => {
+        expect(panel.getAttribute('role')).toEqual('region');
+        expect(panel.getAttribute('aria-labelledby')).toEqual(controllers[index].id);
+        expect(panel.getAttribute('hidden')).toEqual('');
+      });
+    });
+  });
+
+  describe('Accordion correctly responds to events', () => {
+    it('Should only allow one panel open at a time', () => {
+      controllers[0].dispatchEvent(click);
+      expect(accordion.getState().expanded).toEqual([0]);
+      expect(panels[0].getAttribute('hidden')).toBeNull();
+
+      controllers[1].dispatchEvent(click);
+      expect(accordion.getState().expanded).toEqual([1]);
+      expect(controllers[0].getAttribute('aria-expanded')).toEqual('false');
+      expect(panels[0].getAttribute('hidden')).toEqual('');
+
+      // All panels can be closed.
+      controllers[1].dispatchEvent(click);
+      expect(accordion.getState().expanded).toEqual([]);
+
+      expect(onStateChange).toHaveBeenCalled();
+    });
+
+    it('Should move between controllers with UP and DOWN', () => {
+      controllers[0].focus();
+
+      controllers[0].dispatchEvent(keydownDown);
+      expect(document.activeElement).toEqual(controllers[1]);
+
+      controllers[1].dispatchEvent(keydownUp);
+      expect(document.activeElement).toEqual(controllers[0]);
+
+      // Wrap around at either end.
+      controllers[0].dispatchEvent(keydownUp);
+      expect(document.activeElement).toEqual(controllers[2]);
+
+      controllers[2].dispatchEvent(keydownDown);
+      expect(document.activeElement).toEqual(controllers[0]);
+    });
+
+    it('Should move to the first and last controllers', () => {
+      controllers[0].dispatchEvent(keydownEnd);
+      expect(document.activeElement).toEqual(controllers[2]);
+
+      controllers[2].dispatchEvent(keydownHome);
+      expect(document.activeElement).toEqual(controllers[0]);
+    });
+
+    it('Should open and close panels by index', () => {
+      accordion.open(2);
+      expect(accordion.getState().expanded).toEqual([2]);
+
+      accordion.toggle(0);
+      expect(accordion.getState().expanded).toEqual([0]);
+
+      accordion.close(0);
+      expect(accordion.getState().expanded).toEqual([]);
+    });
+  });
+
+  describe('Accordion destroy', () => {
+    it('Should remove the added attributes when destroyed', () => {
+      accordion.destroy();
+
+      expect(container.accordion).toBeUndefined();
+      expect(document.body.innerHTML).toEqual(accordionMarkup);
+      expect(onDestroy).toHaveBeenCalled();
+    });
+  });
+});
+
+describe('Accordion with multiple open panels', () => {
+  beforeAll(() => {
+    document.body.innerHTML = accordionMarkup;
+
+    accordion = new Accordion({
+      container: document.querySelector('.accordion'),
+      allowMultiple: true,
+      loadOpen: [0, 2],
+    });
+  });
+
+  it('Should open the loadOpen panels', () => {
+    expect(accordion.getState().expanded).toEqual([0, 2]);
+    expect(accordion.panels[0].getAttribute('hidden')).toBeNull();
+    expect(accordion.panels[2].getAttribute('hidden')).toBeNull();
+  });
+
+  it('Should allow more than one panel open at a time', () => {
+    accordion.controllers[1].dispatchEvent(click);
+    expect(accordion.getState().expanded).toEqual([0, 1, 2]);
+
+    accordion.controllers[0].dispatchEvent(click);
+    expect(accordion.getState().expanded).toEqual([1, 2]);
+  });
+
+  it('Should remove the added attributes when destroyed', () => {
+    accordion.destroy();
+
+    expect(document.body.innerHTML).toEqual(accordionMarkup);
+  });
+});
+
+describe('Accordion requiring an open panel', () => {
+  beforeAll(() => {
+    document.body.innerHTML = accordionMarkup;
+
+    accordion = new Accordion({
+      container: document.querySelector('.accordion'),
+      requireOpen: true,
+    });
+  });
+
+  it('Should open the first panel and disable its controller', () => {
+    const [first, second] = accordion.controllers;
+
+    expect(accordion.getState().expanded).toEqual([0]);
+    expect(first.getAttribute('aria-disabled')).toEqual('true');
+    expect(second.getAttribute('aria-disabled')).toBeNull();
+  });
+
+  it('Should not close the only open panel', () => {
+    const [first, second] = accordion.controllers;
+
+    first.dispatchEvent(click);
+    expect(accordion.getState().expanded).toEqual([0]);
+
+    first.dispatchEvent(keydownReturn);
+    expect(accordion.getState().expanded).toEqual([0]);
+
+    accordion.close(0);
+    expect(accordion.getState().expanded).toEqual([0]);
+
+    second.dispatchEvent(click);
+    expect(accordion.getState().expanded).toEqual([1]);
+    expect(first.getAttribute('aria-disabled')).toBeNull();
+    expect(second.getAttribute('aria-disabled')).toEqual('true');
+  });
+
+  it('Should remove the added attributes when destroyed', () => {
+    accordion.destroy();
+
+    expect(document.body.innerHTML).toEqual(accordionMarkup);
+  });
+});
@@ -0,0 +1,442 @@
+import AriaComponent from '../AriaComponent';
+import Disclosure from '../Disclosure';
+import keyCodes from '../lib/keyCodes';
+import getFirstAndLastItems from '../lib/getFirstAndLastItems';
+
+/**
+ * Class to set up a vertically stacked set of headings, each revealing and
+ * hiding an associated panel of content.
+ *
+ * https://www.w3.org/TR/wai-aria-practices-1.2/#accordion
+ */
+export default class Accordion extends AriaComponent {
+  /**
+   * Create an Accordion.
+   * @constructor
+   *
+   * @param {object} config The config object.
+   */
+  constructor(config) {
+    super(config);
+
+    /**
+     * The component name.
+     *
+     * @type {string}
+     */
+    this.componentName = 'Accordion';
+
+    /**
+     * Options shape.
+     *
+     * @type {object}
+     */
+    const options = {
+      /**
+       * The element containing the Accordion's headings and panels.
+       *
+       * @type {HTMLElement}
+       */
+      container: null,
+
+      /**
+       * Selector used to identify the container's headings. Each heading
+       * contains the button controlling the panel that follows it.
+       *
+       * @type {string}
+       */
+      headingMatches: 'h1, h2, h3, h4, h5, h6',
+
+      /**
+       * Allow more than one panel to be open at once.
+       *
+       * @type {boolean}
+       */
+      allowMultiple: false,
+
+      /**
+       * Keep at least one panel open. The first panel is opened initially if
+       * `loadOpen` is empty.
+       *
+       * @type {boolean}
+       */
+      requireOpen: false,
+
+      /**
+       * The indexes of the panels to open initially.
+       *
+       * @type {array}
+       */
+      loadOpen: [],
+
+      /**
+       * Callback to run after the component initializes.
+       *
+       * @callback initCallback
+       */
+      onInit: () => {},
+
+      /**
+       * Callback to run after component state is updated.
+       *
+       * @callback stateChangeCallback
+       */
+      onStateChange: () => {},
+
+      /**
+       * Callback to run after the component is destroyed.
+       *
+       * @callback destroyCallback
+       */
+      onDestroy: () => {},
+    };
+
+    // Merge config options with defaults.
+    Object.assign(this, options, config);
+
+    // Bind class methods.
+    this.handleContainerKeydown = this.handleContainerKeydown.bind(this);
+    this.handleContainerClicks = this.handleContainerClicks.bind(this);
+    this.onDisclosureStateChange = this.onDisclosureStateChange.bind(this);
+    this.updateAttributes = this.updateAttributes.bind(this);
+    this.stateWasUpdated = this.stateWasUpdated.bind(this);
+    this.open = this.open.bind(this);
+    this.close = this.close.bind(this);
+    this.toggle = this.toggle.bind(this);
+    this.destroy = this.destroy.bind(this);
+
+    // Only initialize if we passed in a container.
+    if (null !== this.container) {
+      this.init();
+    }
+  }
+
+  /**
+   * Set up the component's DOM attributes and event listeners.
+   */
+  init() {
+    /*
+     * A reference to the class instance added to the container element to
+     * enable external interactions with this instance.
+     */
+    super.setSelfReference([this.container]);
+
+    /**
+     * The headings containing each panel's controller.
+     *
+     * @type {array}
+     */
+    this.headings = Array.prototype.filter.call(
+      this.container.children,
+      (child) => (
+        child.matches(this.headingMatches)
+        && null !== child.querySelector('button')
+        && null !== child.nextElementSibling
+      )
+    );
+
+    /**
+     * The buttons controlling each panel.
+     *
+     * @type {array}
+     */
+    this.controllers = this.headings.map((heading) => (
+      heading.querySelector('button')
+    ));
+
+    /**
+     * The panels following each heading.
+     *
+     * @type {array}
+     */
+    this.panels = this.headings.map((heading) => heading.nextElementSibling);
+
+    // Open the first panel if one must be open.
+    const loadOpen = (this.requireOpen && 0 === this.loadOpen.length)
+      ? [0]
+      : this.loadOpen;
+
+    /**
+     * The initial default state.
+     *
+     * Only the first of the `loadOpen` panels is opened unless multiple
+     * panels can be open.
+     *
+     * @type {object}
+     */
+    this.state = {
+      expanded: this.allowMultiple ? loadOpen : loadOpen.slice(0, 1),
+    };
+
+    /**
+     * A Disclosure for each heading and panel pair.
+     *
+     * @type {array}
+     */
+    this.disclosures = this.controllers.map((controller, index) => {
+      const disclosure = new Disclosure({
+        controller,
+        target: this.panels[index],
+        loadOpen: this.state.expanded.includes(index),
+        onStateChange: (state) => this.onDisclosureStateChange(index, state),
+      });
+
+      /*
+       * The panel follows the controller's heading rather than the controller
+       * itself, which is an expected relationship for an Accordion.
+       */
+      controller.removeAttribute('aria-owns');
+
+      return disclosure;
+    });
+
+    // Identify each panel as a region labelled by its controller.
+    this.panels.forEach((panel, index) => {
+      panel.setAttribute('role', 'region');
+      panel.setAttribute('aria-labelledby', this.controllers[index].id);
+    });
+
+    this.updateAttributes();
+
+    /*
+     * Listen in the capture phase to prevent the Disclosures from closing a
+     * panel that must remain open.
+     */
+    this.container.addEventListener(
+      'keydown',
+      this.handleContainerKeydown,
+      true
+    );
+    this.container.addEventListener('click', this.handleContainerClicks, true);
+
+    // Run {initCallback}
+    this.onInit.call(this);
+  }
+
+  /**
+   * Update component attributes and run the state change callback.
+   *
+   * @param {object} state The component state.
+   * @param {array} state.expanded The indexes of the open panels.
+   */
+  stateWasUpdated() {
+    this.updateAttributes();
+
+    // Run {stateChangeCallback}
+    this.onStateChange.call(this, this.state);
+  }
+
+  /**
+   * Disable the controller of the only open panel, if it must remain open.
+   */
+  updateAttributes() {
+    const { expanded } = this.state;
+    const [onlyOpen] = (1 === expanded.length) ? expanded : [];
+
+    this.controllers.forEach((controller, index) => {
+      if (this.requireOpen && onlyOpen === index) {
+        controller.setAttribute('aria-disabled', 'true');
+      } else {
+        controller.removeAttribute('aria-disabled');
+      }
+    });
+  }
+
+  /**
+   * Track the open panels, closing the others if only one can be open.
+   *
+   * @param {number}  index          The Disclosure's index.
+   * @param {object}  state          The Disclosure's state.
+   * @param {boolean} state.expanded Whether the Disclosure is open.
+   */
+  onDisclosureStateChange(index, { expanded }) {
+    if (expanded && ! this.allowMultiple) {
+      this.disclosures.forEach((disclosure, disclosureIndex) => {
+        if (disclosureIndex !== index && disclosure.getState().expanded) {
+          disclosure.close();
+        }
+      });
+    }
+
+    this.setState({
+      expanded: this.disclosures.reduce((acc, disclosure, disclosureIndex) => (
+        disclosure.getState().expanded ? [...acc, disclosureIndex] : acc
+      ), []),
+    });
+  }
+
+  /**
+   * Move between headings' controllers, and prevent disabled controllers from
+   * closing their panel.
+   *
+   * @param {Event} event The event object.
+   */
+  handleContainerKeydown(event) {
+    const {
+      UP,
+      DOWN,
+      HOME,
+      END,
+      SPACE,
+      RETURN,
+    } = keyCodes;
+    const { keyCode, target } = event;
+    const index = this.controllers.indexOf(target);
+
+    if (-1 === index) {
+      return;
+    }
+
+    switch (keyCode) {
+      /*
+       * Move to the previous or next controller, wrapping around at either end.
+       */
+      case UP:
+      case DOWN: {
+        event.preventDefault();
+
+        const { length } = this.controllers;
+        const nextIndex = (UP === keyCode) ? index - 1 : index + 1;
+
+        this.controllers[(nextIndex + length) % length].focus();
+
+        break;
+      }
+
+      /*
+       * Move to the first controller.
+       */
+      case HOME: {
+        event.preventDefault();
+
+        const [firstController] = getFirstAndLastItems(this.controllers);
+        firstController.focus();
+
+        break;
+      }
+
+      /*
+       * Move to the last controller.
+       */
+      case END: {
+        event.preventDefault();
+
+        const [, lastController] = getFirstAndLastItems(this.controllers);
+        lastController.focus();
+
+        break;
+      }
+
+      case SPACE:
+      case RETURN: {
+        if ('true' === target.getAttribute('aria-disabled')) {
+          event.preventDefault();
+          event.stopPropagation();
+        }
+
+        break;
+      }
+
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Prevent disabled controllers from closing their panel.
+   *
+   * @param {Event} event The event object.
+   */
+  handleContainerClicks(event) {
+    const controller = event.target.closest('button');
+
+    if (
+      this.controllers.includes(controller)
+      && 'true' === controller.getAttribute('aria-disabled')
+    ) {
+      event.preventDefault();
+      event.stopPropagation();
+    }
+  }
+
+  /**
+   * Open a panel, closing the others if only one can be open.
+   *
+   * @param {number} index The panel's index.
+   */
+  open(index) {
+    const disclosure = this.disclosures[index];
+
+    if (undefined !== disclosure) {
+      disclosure.open();
+    }
+  }
+
+  /**
+   * Close a panel, unless it must remain open.
+   *
+   * @param {number} index The panel's index.
+   */
+  close(index) {
+    const disclosure = this.disclosures[index];
+
+    if (
+      undefined !== disclosure
+      && 'true' !== this.controllers[index].getAttribute('aria-disabled')
+    ) {
+      disclosure.close();
+    }
+  }
+
+  /**
+   * Toggle a panel's expanded state.
+   *
+   * @param {number} index The panel's index.
+   */
+  toggle(index) {
+    if (this.state.expanded.includes(index)) {
+      this.close(index);
+    } else {
+      this.open(index);
+    }
+  }
+
+  /**
+   * Destroy the Accordion and its Disclosures.
+   */
+  destroy() {
+    // Remove the reference to the class instance.
+    this.deleteSelfReferences();
+
+    // Remove panel attributes.
+    this.panels.forEach((panel) => {
+      panel.removeAttribute('role');
+      panel.removeAttribute('aria-labelledby');
+    });
+
+    // Remove controller attributes.
+    this.controllers.forEach((controller) => {
+      controller.removeAttribute('aria-disabled');
+    });
+
+    // Destroy the Disclosures.
+    this.disclosures.forEach((disclosure) => {
+      disclosure.destroy();
+    });
+
+    // Remove event listeners.
+    this.container.removeEventListener(
+      'keydown',
+      this.handleContainerKeydown,
+      true
+    );
+    this.container.removeEventListener(
+      'click',
+      this.handleContainerClicks,
+      true
+    );
+
+    // Run {destroyCallback}
+    this.onDestroy.call(this);
+  }
+}
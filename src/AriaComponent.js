@@ -28,11 +28,24 @@ export default class AriaComponent {
      */
     this.referenceElements = [];
 
+    /**
+     * Where to persist component state across page loads, if anywhere. The
+     * `key` property names the stored value, and the optional `storage`
+     * property is localStorage (the default), sessionStorage, or any object
+     * implementing their `getItem` and `setItem` methods.
+     *
+     * @type {object|null}
+     */
+    this.persist = null;
+
     // Bind class methods.
     this.setState = this.setState.bind(this);
     this.getState = this.getState.bind(this);
     this.setSelfReference = this.setSelfReference.bind(this);
     this.warnDeprecated = this.warnDeprecated.bind(this);
+    this.getPersistStorage = this.getPersistStorage.bind(this);
+    this.readPersistedState = this.readPersistedState.bind(this);
+    this.writePersistedState = this.writePersistedState.bind(this);
   }
 
   /**
@@ -86,6 +99,79 @@ export default class AriaComponent {
     return this.state;
   }
 
+  /**
+   * Get the storage in which to persist component state.
+   *
+   * @return {object|null} The storage, or null if state isn't persisted.
+   */
+  getPersistStorage() {
+    if (null === this.persist) {
+      return null;
+    }
+
+    const { storage } = this.persist;
+
+    if (undefined !== storage) {
+      return storage;
+    }
+
+    // Accessing localStorage throws when it's blocked.
+    try {
+      return window.localStorage;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Read the persisted component state. Components are responsible for
+   * validating the returned values, which may be stale.
+   *
+   * @return {object|null} The persisted state, or null if there is none.
+   */
+  readPersistedState() {
+    const storage = this.getPersistStorage();
+
+    if (null === storage) {
+      return null;
+    }
+
+    try {
+      const persisted = JSON.parse(storage.getItem(this.persist.key));
+
+      if (
+        null !== persisted
+        && 'object' === typeof persisted
+        && ! Array.isArray(persisted)
+      ) {
+        return persisted;
+      }
+    } catch (error) {
+      // The stored value isn't valid JSON, or the storage is unavailable.
+    }
+
+    return null;
+  }
+
+  /**
+   * Persist component state.
+   *
+   * @param {object} state The state to persist.
+   */
+  writePersistedState(state) {
+    const storage = this.getPersistStorage();
+
+    if (null === storage) {
+      return;
+    }
+
+    try {
+      storage.setItem(this.persist.key, JSON.stringify(state));
+    } catch (error) {
+      // The storage is full or unavailable.
+    }
+  }
+
   /**
    * Warn about deprecated config properties.
    *
@@ -0,0 +1,443 @@
+/* eslint-disable max-len */
+import { Combobox, Popup } from 'root';
+import { events, flushPromises } from '../lib/events';
+
+const {
+  click,
+  keydownReturn,
+  keydownEsc,
+  keydownUp,
+  keydownDown,
+} = events;
+
+const comboboxMarkup = `
+  <input type="text">
+  <ul>
+    <li>Anchorage</li>
+    <li>Baltimore</li>
+    <li>Chicago</li>
+    <li>Charleston</li>
+    <li>Dallas</li>
+  </ul>
+`;
+
+// Set up our document body
+document.body.innerHTML = comboboxMarkup;
+
+const controller = document.querySelector('input');
+const target = document.querySelector('ul');
+const listItems = Array.from(target.children);
+
+/**
+ * Type a value into the controller.
+ *
+ * @param {string} value The new controller value.
+ */
+function typeValue(value) {
+  controller.value = value;
+  controller.dispatchEvent(new InputEvent('input', { bubbles: true }));
+}
+
+let combobox = {};
+
+// Mock functions.
+const onStateChange = jest.fn();
+const onInit = jest.fn();
+const onDestroy = jest.fn();
+
+describe('Combobox with default configuration', () => {
+  beforeAll(() => {
+    combobox = new Combobox({
+      controller,
+      target,
+      onStateChange,
+      onInit,
+      onDestroy,
+    });
+  });
+
+  describe('Combobox adds and manipulates DOM element attributes', () => {
+    it('Should be instantiated as expected', () => {
+      expect(combobox).toBeInstanceOf(Combobox);
+
+      expect(combobox.getState().expanded).toBeFalsy();
+      expect(combobox.getState().activeDescendant).toBeNull();
+
+      expect(controller.popup).toBeInstanceOf(Popup);
+      expect(controller.combobox).toBeInstanceOf(Combobox);
+      expect(target.combobox).toBeInstanceOf(Combobox);
+
+      expect(onInit).toHaveBeenCalled();
+    });
+
+    it('Should add the correct attributes', () => {
+      expect(controller.getAttribute('role')).toEqual('combobox');
+      expect(controller.getAttribute('aria-autocomplete')).toEqual('list');
+      expect(controller.getAttribute('autocomplete')).toEqual('off');
+      expect(controller.getAttribute('aria-expanded')).toEqual('false');
+      expect(controller.getAttribute('aria-controls')).toEqual(target.id);
+      expect(controller.getAttribute('aria-owns')).toBeNull();
+      expect(controller.getAttribute('tabindex')).toBeNull();
+
+      expect(target.getAttribute('role')).toEqual('listbox');
+      expect(target.getAttribute('hidden')).toEqual('');
+
+      listItems.forEach((listItem) => {
+        expect(listItem.id).not.toEqual('');
+        expect(listItem.getAttribute('role')).toEqual('option');
+      });
+    });
+  });
+
+  describe('Combobox responds to input', () => {
+    beforeEach(() => {
+      typeValue('');
+      combobox.hide();
+    });
+
+    it('Should filter the options as the user types', () => {
+      typeValue('ch');
+
+      expect(combobox.getState().expanded).toBeTruthy();
+      expect(combobox.filteredOptions).toEqual([listItems[2], listItems[3]]);
+      expect(listItems[0].getAttribute('hidden')).toEqual('');
+      expect(listItems[2].getAttribute('hidden')).toBeNull();
+
+      // No option is active with list autocomplete.
+      expect(combobox.getState().activeDescendant).toBeNull();
+      expect(controller.getAttribute('aria-activedescendant')).toBeNull();
+    });
+
+    it('Should hide the listbox when no options match', () => {
+      typeValue('x');
+
+      expect(combobox.getState().expanded).toBeFalsy();
+      expect(combobox.filteredOptions).toEqual([]);
+    });
+
+    it('Should not toggle the listbox when the spacebar is pressed', () => {
+      controller.dispatchEvent(events.keydownSpace);
+      expect(combobox.getState().expanded).toBeFalsy();
+    });
+  });
+
+  describe('Combobox responds to keyboard events', () => {
+    beforeEach(() => {
+      typeValue('');
+      combobox.hide();
+    });
+
+    it('Should open the listbox and move through options with arrow keys', () => {
+      controller.focus();
+      controller.dispatchEvent(keydownDown);
+
+      expect(combobox.getState().expanded).toBeTruthy();
+      expect(combobox.getState().activeDescendant).toEqual(listItems[0]);
+      expect(controller.getAttribute('aria-activedescendant')).toEqual(listItems[0].id);
+      expect(listItems[0].getAttribute('aria-selected')).toEqual('true');
+
+      controller.dispatchEvent(keydownDown);
+      expect(combobox.getState().activeDescendant).toEqual(listItems[1]);
+      expect(listItems[0].getAttribute('aria-selected')).toBeNull();
+
+      controller.dispatchEvent(keydownUp);
+      controller.dispatchEvent(keydownUp);
+      expect(combobox.getState().activeDescendant).toEqual(listItems[4]); // cycle
+
+      // Focus never leaves the controller.
+      expect(document.activeElement).toEqual(controller);
+    });
+
+    it('Should only move through matching options', () => {
+      typeValue('ch');
+
+      controller.dispatchEvent(keydownDown);
+      expect(combobox.getState().activeDescendant).toEqual(listItems[2]);
+
+      controller.dispatchEvent(keydownDown);
+      expect(combobox.getState().activeDescendant).toEqual(listItems[3]);
+
+      controller.dispatchEvent(keydownDown);
+      expect(combobox.getState().activeDescendant).toEqual(listItems[2]); // cycle
+    });
+
+    it('Should select the active option on RETURN key', () => {
+      controller.dispatchEvent(keydownDown);
+      controller.dispatchEvent(keydownDown);
+      controller.dispatchEvent(keydownReturn);
+
+      expect(combobox.getState().expanded).toBeFalsy();
+      expect(combobox.getState().selectedOption).toEqual(listItems[1]);
+      expect(controller.value).toEqual('Baltimore');
+      expect(controller.getAttribute('aria-activedescendant')).toBeNull();
+    });
+
+    it('Should close the listbox, then clear the value, on ESC key', () => {
+      typeValue('ch');
+      expect(combobox.getState().expanded).toBeTruthy();
+
+      controller.dispatchEvent(keydownEsc);
+      expect(combobox.getState().expanded).toBeFalsy();
+      expect(controller.value).toEqual('ch');
+
+      controller.dispatchEvent(keydownEsc);
+      expect(controller.value).toEqual('');
+      expect(combobox.filteredOptions).toEqual(listItems);
+    });
+  });
+
+  describe('Combobox responds to mouse events', () => {
+    it('Should select the clicked option', () => {
+      typeValue('ch');
+
+      listItems[3].dispatchEvent(click);
+      expect(combobox.getState().expanded).toBeFalsy();
+      expect(combobox.getState().selectedOption).toEqual(listItems[3]);
+      expect(controller.value).toEqual('Charleston');
+    });
+
+    it('Should close on outside click', () => {
+      typeValue('ch');
+
+      document.body.dispatchEvent(click);
+      expect(combobox.getState().expanded).toBeFalsy();
+    });
+  });
+
+  describe('Combobox destroy', () => {
+    it('Should destroy the Combobox as expected', () => {
+      combobox.destroy();
+
+      expect(controller.getAttribute('role')).toBeNull();
+      expect(controller.getAttribute('aria-autocomplete')).toBeNull();
+      expect(controller.getAttribute('autocomplete')).toBeNull();
+      expect(controller.getAttribute('aria-expanded')).toBeNull();
+      expect(controller.getAttribute('aria-controls')).toBeNull();
+      expect(target.getAttribute('role')).toBeNull();
+
+      expect(controller.combobox).toBeUndefined();
+      expect(target.combobox).toBeUndefined();
+
+      expect(onDestroy).toHaveBeenCalled();
+
+      // Quick and dirty verification that the original markup is restored.
+      expect(document.body.innerHTML).toEqual(comboboxMarkup);
+    });
+  });
+});
+
+describe('Combobox with inline autocompletion', () => {
+  beforeAll(() => {
+    document.body.innerHTML = comboboxMarkup;
+
+    combobox = new Combobox({
+      controller: document.querySelector('input'),
+      target: document.querySelector('ul'),
+      autocomplete: 'both',
+    });
+  });
+
+  it('Should complete the value with the first matching option', () => {
+    const input = document.querySelector('input');
+    const options = Array.from(document.querySelectorAll('li'));
+
+    input.value = 'ch';
+    input.dispatchEvent(new InputEvent('input'));
+
+    expect(input.getAttribute('aria-autocomplete')).toEqual('both');
+    expect(input.value).toEqual('Chicago');
+    expect(input.selectionStart).toEqual(2);
+    expect(input.selectionEnd).toEqual(7);
+    expect(combobox.getState().activeDescendant).toEqual(options[2]);
+
+    // Deleting characters shouldn't re-complete the value.
+    input.value = 'c';
+    input.dispatchEvent(new InputEvent('input'));
+    expect(input.value).toEqual('c');
+    expect(combobox.getState().activeDescendant).toEqual(options[2]);
+  });
+});
+
+describe('Combobox with a custom filter', () => {
+  it('Should use the filter callback to match options', () => {
+    document.body.innerHTML = comboboxMarkup;
+    const input = document.querySelector('input');
+
+    combobox = new Combobox({
+      controller: input,
+      target: document.querySelector('ul'),
+      filter: (option, value) => option.textContent.includes(value),
+    });
+
+    input.value = 'as';
+    input.dispatchEvent(new InputEvent('input'));
+
+    expect(combobox.filteredOptions.map((option) => option.textContent))
+      .toEqual(['Dallas']);
+  });
+});
+
+describe('Combobox with an async source', () => {
+  const cities = ['Anchorage', 'Baltimore', 'Chicago', 'Charleston', 'Dallas'];
+  const source = jest.fn((value) => Promise.resolve(
+    cities
+      .filter((city) => city.toLowerCase().startsWith(value.toLowerCase()))
+      .map((city) => ({ label: city, value: city.toLowerCase() }))
+  ));
+
+  const onLoadError = jest.fn();
+
+  let input;
+  let list;
+
+  /**
+   * Type into the input and wait for the debounced request to be made.
+   *
+   * @param {string} value The new input value.
+   */
+  function typeAndRequest(value) {
+    input.value = value;
+    input.dispatchEvent(new InputEvent('input'));
+    jest.advanceTimersByTime(250);
+  }
+
+  beforeAll(() => {
+    jest.useFakeTimers();
+
+    document.body.innerHTML = '<input type="text"><ul></ul>';
+    input = document.querySelector('input');
+    list = document.querySelector('ul');
+
+    combobox = new Combobox({
+      controller: input,
+      target: list,
+      source,
+      onLoadError,
+    });
+  });
+
+  afterAll(() => {
+    jest.useRealTimers();
+  });
+
+  beforeEach(() => {
+    source.mockClear();
+  });
+
+  it('Should add a live region', () => {
+    expect(combobox.liveRegion.getAttribute('role')).toEqual('status');
+    expect(list.nextSibling).toEqual(combobox.liveRegion);
+  });
+
+  it('Should debounce requests to the source', () => {
+    input.value = 'c';
+    input.dispatchEvent(new InputEvent('input'));
+    typeAndRequest('ch');
+
+    return flushPromises().then(() => {
+      expect(source).toHaveBeenCalledTimes(1);
+      expect(source).toHaveBeenCalledWith('ch', expect.any(Object));
+    });
+  });
+
+  it('Should announce the loading state and render the results', () => {
+    typeAndRequest('ch');
+
+    expect(combobox.getState().loading).toBeTruthy();
+    expect(list.getAttribute('aria-busy')).toEqual('true');
+    expect(combobox.liveRegion.textContent).toEqual('Loading…');
+
+    return flushPromises().then(() => {
+      expect(combobox.getState().loading).toBeFalsy();
+      expect(list.getAttribute('aria-busy')).toBeNull();
+      expect(combobox.liveRegion.textContent).toEqual('');
+      expect(combobox.getState().expanded).toBeTruthy();
+
+      const options = Array.from(list.children);
+      expect(options.map((option) => option.textContent)).toEqual(['Chicago', 'Charleston']);
+      options.forEach((option) => {
+        expect(option.getAttribute('role')).toEqual('option');
+        expect(option.id).not.toEqual('');
+      });
+      expect(options[0].getAttribute('data-value')).toEqual('chicago');
+      expect(combobox.options).toEqual(options);
+    });
+  });
+
+  it('Should announce when there are no results', () => {
+    typeAndRequest('zzz');
+
+    return flushPromises().then(() => {
+      expect(combobox.getState().noResults).toBeTruthy();
+      expect(combobox.getState().expanded).toBeFalsy();
+      expect(combobox.liveRegion.textContent).toEqual('No results');
+      expect(list.children.length).toEqual(0);
+    });
+  });
+
+  it('Should ignore responses to stale requests', () => {
+    let resolveStale;
+    source.mockImplementationOnce(() => new Promise((resolve) => {
+      resolveStale = resolve;
+    }));
+
+    typeAndRequest('a');
+
+    return flushPromises()
+      .then(() => {
+        const [, { signal }] = source.mock.calls[0];
+
+        typeAndRequest('dal');
+        expect(signal.aborted).toBeTruthy();
+
+        resolveStale(['Anchorage']);
+        return flushPromises();
+      })
+      .then(() => {
+        expect(Array.from(list.children).map((option) => option.textContent)).toEqual(['Dallas']);
+      });
+  });
+
+  it('Should announce when the source fails', () => {
+    const error = new Error('Network error');
+    source.mockImplementationOnce(() => Promise.reject(error));
+
+    typeAndRequest('dal');
+
+    return flushPromises()
+      .then(() => {
+        expect(combobox.getState().loading).toBeFalsy();
+        expect(combobox.getState().loadError).toBeTruthy();
+        expect(combobox.liveRegion.textContent).toEqual(
+          'Results could not be loaded'
+        );
+        expect(onLoadError).toHaveBeenCalledWith('dal', error);
+
+        typeAndRequest('bal');
+        return flushPromises();
+      })
+      .then(() => {
+        expect(combobox.getState().loadError).toBeFalsy();
+        expect(combobox.liveRegion.textContent).toEqual('');
+      });
+  });
+
+  it('Should select an option returned from the source', () => {
+    typeAndRequest('bal');
+
+    return flushPromises().then(() => {
+      input.dispatchEvent(events.keydownDown);
+      input.dispatchEvent(keydownReturn);
+
+      expect(input.value).toEqual('Baltimore');
+      expect(combobox.getState().selectedOption).toEqual(list.children[0]);
+    });
+  });
+
+  it('Should remove the live region when destroyed', () => {
+    const { liveRegion } = combobox;
+    combobox.destroy();
+
+    expect(document.body.contains(liveRegion)).toBeFalsy();
+  });
+});
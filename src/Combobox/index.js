@@ -0,0 +1,777 @@
+import AriaComponent from '../AriaComponent';
+import Popup from '../Popup';
+import { setUniqueId } from '../lib/uniqueId';
+import keyCodes from '../lib/keyCodes';
+import { nextPreviousFromUpDown } from '../lib/nextPrevious';
+import scrollIntoView from '../lib/scrollIntoView';
+import setActiveDescendant from '../lib/activeDescendant';
+import debounce from '../lib/debounce';
+
+/**
+ * Class to set up an editable Combobox with a Listbox of suggested options.
+ *
+ * https://www.w3.org/TR/wai-aria-practices-1.2/#combobox
+ */
+export default class Combobox extends AriaComponent {
+  /**
+   * Test whether an option's text begins with the given value.
+   *
+   * @param {HTMLElement} option The option element.
+   * @param {string}      value  The controller's current value.
+   * @return {boolean}
+   */
+  static filterOption(option, value) {
+    const optionText = option.textContent.toLowerCase();
+    return 0 === optionText.indexOf(value.toLowerCase());
+  }
+
+  /**
+   * Keep focus on the controller when an option is clicked.
+   *
+   * @param {Event} event The event object.
+   */
+  static preventFocusLoss(event) {
+    event.preventDefault();
+  }
+
+  /**
+   * Create a Combobox.
+   * @constructor
+   *
+   * @param {object} config The config object.
+   */
+  constructor(config) {
+    super(config);
+
+    /**
+     * The component name.
+     *
+     * @type {string}
+     */
+    this.componentName = 'Combobox';
+
+    /**
+     * Options shape.
+     *
+     * @type {object}
+     */
+    const options = {
+      /**
+       * The text input used to filter the Listbox options.
+       *
+       * @type {HTMLInputElement}
+       */
+      controller: null,
+
+      /**
+       * The Listbox element.
+       *
+       * @type {HTMLUListElement}
+       */
+      target: null,
+
+      /**
+       * The type of autocompletion.
+       * Options: list, both
+       *
+       * `list` filters the Listbox options based on the controller's value.
+       * `both` also completes the controller's value inline with the text of
+       * the first matching option.
+       *
+       * @type {string}
+       */
+      autocomplete: 'list',
+
+      /**
+       * Callback to determine whether an option matches the controller's value.
+       *
+       * @callback filterCallback
+       * @param {HTMLElement} option The option element.
+       * @param {string}      value  The controller's current value.
+       * @return {boolean}
+       */
+      filter: this.constructor.filterOption,
+
+      /**
+       * Callback to request options matching the controller's value, for
+       * options that aren't known ahead of time. Should return an array, or a
+       * Promise resolving to an array, of option labels or `{ label, value }`
+       * objects. The AbortSignal is aborted if the request becomes stale.
+       *
+       * @callback sourceCallback
+       * @param {string} value          The controller's current value.
+       * @param {object} request        The request details.
+       * @param {AbortSignal} request.signal The request's abort signal.
+       * @return {array|Promise}
+       */
+      source: null,
+
+      /**
+       * The number of milliseconds to wait after the user stops typing before
+       * requesting options from the source.
+       *
+       * @type {number}
+       */
+      delay: 250,
+
+      /**
+       * Text announced while options are requested from the source.
+       *
+       * @type {string}
+       */
+      loadingText: 'Loading…',
+
+      /**
+       * Text announced when the source returns no options.
+       *
+       * @type {string}
+       */
+      noResultsText: 'No results',
+
+      /**
+       * Text announced when requesting options from the source fails.
+       *
+       * @type {string}
+       */
+      loadErrorText: 'Results could not be loaded',
+
+      /**
+       * Callback to run when requesting options from the source fails. The
+       * current options are kept, and the request is retried as the user types.
+       *
+       * @callback loadErrorCallback
+       * @param {string} value The value for which options were requested.
+       * @param {Error}  error The reason the request failed.
+       */
+      onLoadError: () => {},
+
+      /**
+       * Callback to run after the component initializes.
+       *
+       * @callback initCallback
+       */
+      onInit: () => {},
+
+      /**
+       * Callback to run after component state is updated.
+       *
+       * @callback stateChangeCallback
+       */
+      onStateChange: () => {},
+
+      /**
+       * Callback to run after the component is destroyed.
+       *
+       * @callback destroyCallback
+       */
+      onDestroy: () => {},
+    };
+
+    // Merge config options with defaults.
+    Object.assign(this, options, config);
+
+    // Bind class methods.
+    this.handleControllerInput = this.handleControllerInput.bind(this);
+    this.handleControllerKeydown = this.handleControllerKeydown.bind(this);
+    this.handleTargetClicks = this.handleTargetClicks.bind(this);
+    this.onPopupStateChange = this.onPopupStateChange.bind(this);
+    this.filterOptions = this.filterOptions.bind(this);
+    this.suggest = this.suggest.bind(this);
+    this.fetchOptions = this.fetchOptions.bind(this);
+    this.cancelRequest = this.cancelRequest.bind(this);
+    this.renderOptions = this.renderOptions.bind(this);
+    this.select = this.select.bind(this);
+    this.show = this.show.bind(this);
+    this.hide = this.hide.bind(this);
+    this.destroy = this.destroy.bind(this);
+    this.stateWasUpdated = this.stateWasUpdated.bind(this);
+
+    // Only initialize if we passed in controller and target elements.
+    if (null !== this.controller && null !== this.target) {
+      this.init();
+    }
+  }
+
+  /**
+   * Set up the component's DOM attributes and event listeners.
+   */
+  init() {
+    /*
+     * A reference to the class instance added to the controller and target
+     * elements to enable external interactions with this instance.
+     */
+    super.setSelfReference([this.controller, this.target]);
+
+    /**
+     * The target list items.
+     *
+     * @type {array}
+     */
+    this.options = Array.prototype.slice.call(this.target.children, 0);
+
+    /**
+     * The options matching the controller's current value.
+     *
+     * @type {array}
+     */
+    this.filteredOptions = this.options;
+
+    /**
+     * The controller's value as of the last input event, used to determine
+     * whether the user is deleting characters.
+     *
+     * @type {string}
+     */
+    this.previousValue = this.controller.value;
+
+    /**
+     * Request options from the source once the user stops typing.
+     *
+     * @type {function}
+     */
+    this.requestOptions = debounce(this.fetchOptions, this.delay);
+
+    /**
+     * Incremented with each request, so stale responses can be ignored.
+     *
+     * @type {number}
+     */
+    this.requestId = 0;
+
+    /**
+     * Used to abort the pending request, if supported.
+     *
+     * @type {AbortController|null}
+     */
+    this.abortController = null;
+
+    /**
+     * The live region used to announce the loading, error and empty states.
+     *
+     * @type {HTMLElement|null}
+     */
+    this.liveRegion = null;
+
+    if ('function' === typeof this.source) {
+      this.liveRegion = document.createElement('div');
+      this.liveRegion.setAttribute('role', 'status');
+      this.target.parentNode.insertBefore(
+        this.liveRegion,
+        this.target.nextSibling
+      );
+    }
+
+    /*
+     * Set the `option` role for each list item and ensure each has a unique ID.
+     * The ID here is what will be used to track the active descendant.
+     */
+    this.options.forEach((listItem) => {
+      setUniqueId(listItem);
+      listItem.setAttribute('role', 'option');
+    });
+
+    /*
+     * The controller's `autocomplete` attribute is overridden to prevent the
+     * browser's suggestions from covering the Listbox, so save the original
+     * value to be restored when the Combobox is destroyed.
+     */
+    this.controllerAutocomplete = this.controller.getAttribute('autocomplete');
+
+    /*
+     * Add the combobox role before the Popup is instantiated, otherwise the
+     * Popup will treat the input as a non-button controller.
+     */
+    this.controller.setAttribute('role', 'combobox');
+    this.controller.setAttribute('aria-autocomplete', this.autocomplete);
+    this.controller.setAttribute('autocomplete', 'off');
+
+    /**
+     * The Popup instance controlling the Listbox.
+     *
+     * @type {Popup}
+     */
+    this.popup = new Popup({
+      controller: this.controller,
+      target: this.target,
+      type: 'listbox',
+      onStateChange: this.onPopupStateChange,
+    });
+
+    /*
+     * Remove clashing Popup event listeners. The Popup would otherwise toggle
+     * on each click and swallow Spacebar presses as the user types.
+     */
+    this.controller.removeEventListener(
+      'click',
+      this.popup.controllerClickHandler
+    );
+    this.controller.removeEventListener(
+      'keydown',
+      this.popup.controllerKeyDownHandler
+    );
+
+    // A text input can't own the Listbox; `aria-controls` is sufficient.
+    this.controller.removeAttribute('aria-owns');
+
+    // Add the 'listbox' role to the target.
+    this.target.setAttribute('role', 'listbox');
+
+    // Add event listeners.
+    this.controller.addEventListener('input', this.handleControllerInput);
+    this.controller.addEventListener('keydown', this.handleControllerKeydown);
+    this.target.addEventListener('click', this.handleTargetClicks);
+    this.target.addEventListener(
+      'mousedown',
+      this.constructor.preventFocusLoss
+    );
+
+    /**
+     * Set initial state.
+     *
+     * @type {object}
+     */
+    this.state = {
+      expanded: false,
+      activeDescendant: null,
+      selectedOption: null,
+      loading: false,
+      noResults: false,
+      loadError: false,
+    };
+
+    // Run {initCallback}
+    this.onInit.call(this);
+  }
+
+  /**
+   * Track the active Listbox option.
+   * https://www.w3.org/TR/wai-aria-practices-1.2/#kbd_focus_activedescendant
+   *
+   * @param {object} state The component state.
+   * @param {HTMLElement|null} state.activeDescendant The visually-focused option.
+   */
+  stateWasUpdated() {
+    const { activeDescendant } = this.state;
+
+    /*
+     * Focus remains on the controller, so the active option is tracked via the
+     * `aria-activedescendant` attribute on the controller.
+     */
+    setActiveDescendant(this.controller, this.options, activeDescendant);
+
+    if (null !== activeDescendant) {
+      scrollIntoView(this.target, activeDescendant);
+    }
+
+    // Announce the loading, error and empty states.
+    if (null !== this.liveRegion) {
+      const { loading, noResults, loadError } = this.state;
+
+      if (loading) {
+        this.target.setAttribute('aria-busy', 'true');
+        this.liveRegion.textContent = this.loadingText;
+      } else {
+        this.target.removeAttribute('aria-busy');
+
+        if (loadError) {
+          this.liveRegion.textContent = this.loadErrorText;
+        } else {
+          this.liveRegion.textContent = noResults ? this.noResultsText : '';
+        }
+      }
+    }
+
+    // Run {stateChangeCallback}
+    this.onStateChange.call(this, this.state);
+  }
+
+  /**
+   * Subscribe to Popup state changes.
+   *
+   * @param {object} popup.state the Popup state.
+   * @param {boolean} popup.state.expanded The Popup `expanded` state.
+   */
+  onPopupStateChange({ expanded }) {
+    const { activeDescendant } = this.state;
+
+    this.setState({
+      expanded,
+      activeDescendant: expanded ? activeDescendant : null,
+    });
+  }
+
+  /**
+   * Show or hide options based on whether they match the given value.
+   *
+   * @param {string} value The value against which to filter options.
+   * @return {array} The matching options.
+   */
+  filterOptions(value) {
+    this.filteredOptions = this.options.filter((option) => {
+      // Options returned from the source are assumed to match.
+      const matches = (
+        'function' === typeof this.source
+        || this.filter(option, value)
+      );
+
+      if (matches) {
+        option.removeAttribute('hidden');
+      } else {
+        option.setAttribute('hidden', '');
+      }
+
+      return matches;
+    });
+
+    return this.filteredOptions;
+  }
+
+  /**
+   * Filter the options as the user types, or request them from the source.
+   */
+  handleControllerInput() {
+    const { value } = this.controller;
+
+    this.setState({ selectedOption: null });
+
+    if ('function' === typeof this.source) {
+      this.cancelRequest();
+      this.requestOptions(value);
+    } else {
+      this.suggest(value, this.filterOptions(value));
+    }
+  }
+
+  /**
+   * Show the matching options, and complete the controller's value inline when
+   * `autocomplete` is `both`.
+   *
+   * @param {string} value   The value against which options were matched.
+   * @param {array}  matches The matching options.
+   */
+  suggest(value, matches) {
+    const isDeleting = value.length < this.previousValue.length;
+    const [firstMatch = null] = matches;
+
+    // Hide the Listbox if there are no matching options.
+    if (null === firstMatch) {
+      this.previousValue = value;
+      this.setState({ activeDescendant: null });
+      this.hide();
+
+      return;
+    }
+
+    let activeDescendant = null;
+
+    if ('both' === this.autocomplete && '' !== value) {
+      /*
+       * Don't complete the value as the user deletes characters, otherwise
+       * the completed text would be impossible to remove.
+       */
+      if (! isDeleting) {
+        const { textContent } = firstMatch;
+
+        this.controller.value = textContent;
+        this.controller.setSelectionRange(value.length, textContent.length);
+      }
+
+      activeDescendant = firstMatch;
+    }
+
+    this.previousValue = this.controller.value;
+    this.setState({ activeDescendant });
+    this.show();
+  }
+
+  /**
+   * Request options from the source and render the response.
+   *
+   * @param {string} value The value for which to request options.
+   */
+  fetchOptions(value) {
+    const { requestId } = this;
+    let signal;
+
+    if ('function' === typeof window.AbortController) {
+      this.abortController = new window.AbortController();
+      ({ signal } = this.abortController);
+    }
+
+    this.setState({ loading: true, noResults: false, loadError: false });
+
+    Promise.resolve()
+      .then(() => this.source(value, { signal }))
+      .then((items) => {
+        // Ignore the response if a newer request has been made.
+        if (requestId !== this.requestId) {
+          return;
+        }
+
+        this.abortController = null;
+        this.renderOptions(items);
+
+        this.setState({ loading: false, noResults: 0 === items.length });
+        this.suggest(value, this.options);
+      })
+      .catch((error) => {
+        if (requestId !== this.requestId) {
+          return;
+        }
+
+        this.abortController = null;
+        this.setState({ loading: false, loadError: true });
+
+        // Run {loadErrorCallback}
+        this.onLoadError.call(this, value, error);
+      });
+  }
+
+  /**
+   * Cancel the pending request, if any, so its response is ignored.
+   */
+  cancelRequest() {
+    this.requestOptions.cancel();
+    this.requestId += 1;
+
+    if (null !== this.abortController) {
+      this.abortController.abort();
+      this.abortController = null;
+    }
+
+    if (this.state.loading) {
+      this.setState({ loading: false });
+    }
+  }
+
+  /**
+   * Replace the current options with those returned from the source.
+   *
+   * @param {array} items Option labels or `{ label, value }` objects.
+   */
+  renderOptions(items) {
+    this.options.forEach((option) => {
+      this.target.removeChild(option);
+    });
+
+    this.options = items.map((item) => {
+      const { label, value } = ('object' === typeof item)
+        ? item
+        : { label: item };
+      const option = document.createElement('li');
+
+      option.textContent = label;
+      if (undefined !== value) {
+        option.setAttribute('data-value', value);
+      }
+
+      setUniqueId(option);
+      option.setAttribute('role', 'option');
+      this.target.appendChild(option);
+
+      return option;
+    });
+
+    this.filteredOptions = this.options;
+  }
+
+  /**
+   * Handle keydown events on the controller.
+   *
+   * @param {Event} event The event object.
+   */
+  handleControllerKeydown(event) {
+    const { expanded, activeDescendant } = this.state;
+    const { keyCode, altKey } = event;
+    const {
+      TAB,
+      RETURN,
+      ESC,
+      UP,
+      DOWN,
+    } = keyCodes;
+
+    switch (keyCode) {
+      /*
+       * Show the Listbox, then move through the matching options.
+       */
+      case UP:
+      case DOWN: {
+        event.preventDefault();
+
+        if (! expanded) {
+          if (0 === this.filterOptions(this.controller.value).length) {
+            break;
+          }
+
+          this.show();
+
+          // Alt+Down shows the Listbox without moving to an option.
+          if (altKey) {
+            break;
+          }
+        }
+
+        const moveTo = nextPreviousFromUpDown(
+          keyCode,
+          activeDescendant,
+          this.filteredOptions
+        );
+
+        if (moveTo) {
+          this.setState({ activeDescendant: moveTo });
+        }
+
+        break;
+      }
+
+      /*
+       * Select the active option.
+       */
+      case RETURN: {
+        if (expanded && null !== activeDescendant) {
+          event.preventDefault();
+          this.select(activeDescendant);
+        }
+
+        break;
+      }
+
+      /*
+       * Close the Listbox if it's open, otherwise clear the controller.
+       */
+      case ESC: {
+        event.preventDefault();
+
+        if (expanded) {
+          this.hide();
+        } else {
+          this.cancelRequest();
+          this.controller.value = '';
+          this.previousValue = '';
+          this.filterOptions('');
+          this.setState({ selectedOption: null });
+        }
+
+        break;
+      }
+
+      /*
+       * Close the Listbox when focus moves away from the controller.
+       */
+      case TAB: {
+        if (expanded) {
+          this.hide();
+        }
+
+        break;
+      }
+
+      // fuggitaboutit.
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Select the option that was clicked.
+   *
+   * @param {Event} event The event object.
+   */
+  handleTargetClicks(event) {
+    const option = event.target.closest('[role="option"]');
+
+    if (this.options.includes(option)) {
+      this.select(option);
+    }
+  }
+
+  /**
+   * Use the given option as the controller value and close the Listbox.
+   *
+   * @param {HTMLElement} option The option to select.
+   */
+  select(option) {
+    this.cancelRequest();
+    this.controller.value = option.textContent;
+    this.previousValue = option.textContent;
+    this.filterOptions(this.controller.value);
+
+    this.setState({ selectedOption: option });
+    this.hide();
+  }
+
+  /**
+   * Destroy the Combobox and Popup.
+   */
+  destroy() {
+    // Remove the references to the class instance.
+    this.deleteSelfReferences();
+
+    // Remove attributes from each of the options.
+    this.options.forEach((listItem) => {
+      listItem.removeAttribute('role');
+      listItem.removeAttribute('aria-selected');
+      listItem.removeAttribute('hidden');
+
+      // Remove IDs set by this class.
+      if (listItem.getAttribute('id').includes('id_')) {
+        listItem.removeAttribute('id');
+      }
+    });
+
+    // Destroy the Popup.
+    this.popup.destroy();
+
+    // Remove controller attributes.
+    this.controller.removeAttribute('role');
+    this.controller.removeAttribute('aria-autocomplete');
+    this.controller.removeAttribute('aria-activedescendant');
+
+    // Restore the original `autocomplete` attribute.
+    if (null === this.controllerAutocomplete) {
+      this.controller.removeAttribute('autocomplete');
+    } else {
+      this.controller.setAttribute('autocomplete', this.controllerAutocomplete);
+    }
+
+    // Remove the listbox role.
+    this.target.removeAttribute('role');
+    this.target.removeAttribute('aria-busy');
+
+    // Abandon any pending request and remove the live region.
+    this.cancelRequest();
+    if (null !== this.liveRegion) {
+      this.liveRegion.parentNode.removeChild(this.liveRegion);
+    }
+
+    // Remove event listeners.
+    this.controller.removeEventListener('input', this.handleControllerInput);
+    this.controller.removeEventListener(
+      'keydown',
+      this.handleControllerKeydown
+    );
+    this.target.removeEventListener('click', this.handleTargetClicks);
+    this.target.removeEventListener(
+      'mousedown',
+      this.constructor.preventFocusLoss
+    );
+
+    // Run {destroyCallback}
+    this.onDestroy.call(this);
+  }
+
+  /**
+   * Show the Listbox.
+   */
+  show() {
+    this.popup.show();
+  }
+
+  /**
+   * Hide the Listbox.
+   */
+  hide() {
+    this.popup.hide();
+  }
+}
@@ -164,3 +164,50 @@ describe('Dialog with default configuration', () => {
     });
   });
 });
+
+describe('Dialog with hash syncing', () => {
+  let hashModal;
+
+  beforeAll(() => {
+    window.history.replaceState(null, '', '#dialog');
+
+    hashModal = new Dialog({
+      controller,
+      target,
+      close,
+      content,
+      hashSync: true,
+      updateHash: true,
+    });
+  });
+
+  afterAll(() => {
+    hashModal.destroy();
+    window.history.replaceState(null, '', window.location.pathname);
+  });
+
+  it('Should show the Dialog identified by the hash on load', () => {
+    expect(hashModal.getState().expanded).toBeTruthy();
+    expect(content.getAttribute('aria-hidden')).toEqual('true');
+    expect(document.activeElement).toEqual(close);
+  });
+
+  it('Should remove the hash when the Dialog is hidden', () => {
+    hashModal.hide();
+    expect(window.location.hash).toEqual('');
+  });
+
+  it('Should show the Dialog when the hash changes to identify it', () => {
+    window.history.replaceState(null, '', '#dialog');
+    window.dispatchEvent(new Event('hashchange'));
+
+    expect(hashModal.getState().expanded).toBeTruthy();
+
+    hashModal.hide();
+  });
+
+  it('Should set the hash when the Dialog is shown', () => {
+    hashModal.show();
+    expect(window.location.hash).toEqual('#dialog');
+  });
+});
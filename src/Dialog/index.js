@@ -3,6 +3,11 @@ import Popup from '../Popup';
 import interactiveChildren from '../lib/interactiveChildren';
 import keyCodes from '../lib/keyCodes';
 import getFirstAndLastItems from '../lib/getFirstAndLastItems';
+import {
+  hashMatches,
+  replaceHash,
+  scrollToHashElement,
+} from '../lib/hash';
 
 /**
  * Class to set up an interactive Dialog element.
@@ -74,6 +79,22 @@ export default class Dialog extends AriaComponent {
        */
       close: this.constructor.createCloseButton(),
 
+      /**
+       * Show the Dialog when the URL hash identifies the dialog element or one
+       * of its descendants, on load and when the hash changes.
+       *
+       * @type {boolean}
+       */
+      hashSync: false,
+
+      /**
+       * Set the URL hash to the dialog element's ID when the Dialog is shown,
+       * and remove it when the Dialog is hidden.
+       *
+       * @type {boolean}
+       */
+      updateHash: false,
+
       /**
        * Callback to run after the component initializes.
        *
@@ -108,6 +129,7 @@ export default class Dialog extends AriaComponent {
     this.onPopupStateChange = this.onPopupStateChange.bind(this);
     this.handleTargetKeydown = this.handleTargetKeydown.bind(this);
     this.handleKeydownEsc = this.handleKeydownEsc.bind(this);
+    this.handleHashChange = this.handleHashChange.bind(this);
     this.show = this.show.bind(this);
     this.hide = this.hide.bind(this);
     this.destroy = this.destroy.bind(this);
@@ -176,6 +198,12 @@ export default class Dialog extends AriaComponent {
      */
     this.state = { expanded: false };
 
+    // Show the Dialog if the URL hash identifies it.
+    if (this.hashSync) {
+      window.addEventListener('hashchange', this.handleHashChange);
+      this.handleHashChange();
+    }
+
     /* Run {initCallback} */
     this.onInit.call(this);
   }
@@ -211,6 +239,15 @@ export default class Dialog extends AriaComponent {
       this.controller.focus();
     }
 
+    // Keep the URL hash in sync with the dialog, leaving deeper links intact.
+    if (this.updateHash) {
+      if (expanded && ! hashMatches(this.target)) {
+        replaceHash(this.target.id);
+      } else if (! expanded && hashMatches(this.target)) {
+        replaceHash('');
+      }
+    }
+
     /* Run {stateChangeCallback} */
     this.onStateChange.call(this, this.state);
   }
@@ -279,6 +316,16 @@ export default class Dialog extends AriaComponent {
     }
   }
 
+  /**
+   * Show the Dialog when the URL hash changes to identify it.
+   */
+  handleHashChange() {
+    if (! this.state.expanded && hashMatches(this.target)) {
+      this.show();
+      scrollToHashElement();
+    }
+  }
+
   /**
    * Destroy the Dialog and Popup.
    */
@@ -296,6 +343,7 @@ export default class Dialog extends AriaComponent {
     this.close.removeEventListener('click', this.hide);
     this.target.removeEventListener('keydown', this.handleTargetKeydown);
     document.body.removeEventListener('keydown', this.handleKeydownEsc);
+    window.removeEventListener('hashchange', this.handleHashChange);
 
     /* Run {destroyCallback} */
     this.onDestroy.call(this);
@@ -174,3 +174,230 @@ describe('Disclosure with non-default configuration', () => {
     expect(document.body.innerHTML).toEqual(disclosureMarkup);
   });
 });
+
+describe('Disclosure with a transition', () => {
+  const onStateChange = jest.fn();
+
+  beforeAll(() => {
+    jest.useFakeTimers();
+
+    disclosure = new Disclosure({
+      controller,
+      target,
+      transition: 'fade',
+      transitionTimeout: 300,
+      onStateChange,
+    });
+  });
+
+  afterAll(() => {
+    disclosure.destroy();
+    jest.useRealTimers();
+  });
+
+  it('Should track the opening and closing states', () => {
+    expect(disclosure.getState()).toEqual({
+      expanded: false,
+      opening: false,
+      closing: false,
+    });
+  });
+
+  it('Should apply the enter classes until the transition ends', () => {
+    disclosure.open();
+
+    expect(disclosure.getState().opening).toBeTruthy();
+    expect(onStateChange).toHaveBeenCalledWith({ expanded: true, opening: true, closing: false });
+    expect(target.getAttribute('hidden')).toBeNull();
+    expect(target.classList.contains('fade-enter-active')).toBeTruthy();
+    expect(target.classList.contains('fade-enter-to')).toBeTruthy();
+
+    target.dispatchEvent(new Event('transitionend'));
+
+    expect(disclosure.getState().opening).toBeFalsy();
+    expect(target.className).toEqual('answer');
+  });
+
+  it('Should wait for the transition to end before hiding the target', () => {
+    disclosure.close();
+
+    expect(disclosure.getState().closing).toBeTruthy();
+    expect(target.getAttribute('aria-hidden')).toEqual('true');
+    expect(target.getAttribute('hidden')).toBeNull();
+    expect(target.classList.contains('fade-leave-active')).toBeTruthy();
+
+    // Fall back to the timeout if the transition never ends.
+    jest.advanceTimersByTime(300);
+
+    expect(disclosure.getState().closing).toBeFalsy();
+    expect(target.getAttribute('hidden')).toEqual('');
+    expect(target.className).toEqual('answer');
+  });
+
+  it('Should skip the transition if the user prefers reduced motion', () => {
+    window.matchMedia = jest.fn(() => ({ matches: true }));
+
+    disclosure.open();
+
+    expect(disclosure.getState()).toEqual({
+      expanded: true,
+      opening: false,
+      closing: false,
+    });
+    expect(target.className).toEqual('answer');
+
+    disclosure.close();
+
+    expect(target.getAttribute('hidden')).toEqual('');
+
+    delete window.matchMedia;
+  });
+});
+
+describe('Disclosure with hash syncing', () => {
+  beforeAll(() => {
+    target.querySelector('p').id = 'lorem';
+    window.history.replaceState(null, '', '#lorem');
+
+    disclosure = new Disclosure({
+      controller,
+      target,
+      hashSync: true,
+      updateHash: true,
+    });
+  });
+
+  afterAll(() => {
+    target.querySelector('p').removeAttribute('id');
+    window.history.replaceState(null, '', window.location.pathname);
+  });
+
+  it('Should load open if the hash identifies a descendant of the target', () => {
+    expect(disclosure.getState().expanded).toBeTruthy();
+    expect(controller.getAttribute('aria-expanded')).toEqual('true');
+    expect(target.getAttribute('hidden')).toBeNull();
+  });
+
+  it('Should remove the hash when the Disclosure closes', () => {
+    disclosure.close();
+    expect(window.location.hash).toEqual('');
+  });
+
+  it('Should set the hash when the Disclosure opens', () => {
+    disclosure.open();
+    expect(window.location.hash).toEqual(`#${target.id}`);
+
+    disclosure.close();
+  });
+
+  it('Should open when the hash changes to identify the target', () => {
+    const lorem = target.querySelector('p');
+    lorem.scrollIntoView = jest.fn();
+
+    window.history.replaceState(null, '', '#lorem');
+    window.dispatchEvent(new Event('hashchange'));
+
+    expect(disclosure.getState().expanded).toBeTruthy();
+    expect(lorem.scrollIntoView).toHaveBeenCalled();
+
+    delete lorem.scrollIntoView;
+  });
+
+  it('Should stop listening for hash changes when destroyed', () => {
+    disclosure.close();
+    disclosure.destroy();
+
+    window.history.replaceState(null, '', '#lorem');
+    window.dispatchEvent(new Event('hashchange'));
+
+    expect(disclosure.getState().expanded).toBeFalsy();
+  });
+
+  it('Should ignore a malformed hash', () => {
+    window.history.replaceState(null, '', '#100%');
+
+    expect(() => {
+      disclosure = new Disclosure({ controller, target, hashSync: true });
+      window.dispatchEvent(new Event('hashchange'));
+    }).not.toThrow();
+    expect(disclosure.getState().expanded).toBeFalsy();
+
+    disclosure.destroy();
+  });
+});
+
+describe('Disclosure with persisted state', () => {
+  const persist = { key: 'disclosure', storage: window.sessionStorage };
+
+  afterEach(() => {
+    disclosure.destroy();
+    window.sessionStorage.clear();
+  });
+
+  it('Should persist the expanded state', () => {
+    disclosure = new Disclosure({ controller, target, persist });
+
+    disclosure.open();
+    expect(window.sessionStorage.getItem('disclosure')).toEqual('{"expanded":true}');
+
+    disclosure.close();
+    expect(window.sessionStorage.getItem('disclosure')).toEqual('{"expanded":false}');
+  });
+
+  it('Should restore the expanded state', () => {
+    const link = document.createElement('a');
+    link.href = '#lorem';
+    target.appendChild(link);
+
+    window.sessionStorage.setItem('disclosure', '{"expanded":true}');
+    disclosure = new Disclosure({ controller, target, persist });
+
+    expect(disclosure.getState().expanded).toBeTruthy();
+    expect(controller.getAttribute('aria-expanded')).toEqual('true');
+    expect(target.getAttribute('hidden')).toBeNull();
+
+    // The open target's interactive children can be focused.
+    expect(disclosure.interactiveChildElements).toEqual([link]);
+    expect(link.getAttribute('tabindex')).toBeNull();
+
+    link.remove();
+  });
+
+  it('Should ignore invalid persisted values', () => {
+    window.sessionStorage.setItem('disclosure', '{"expanded":"yes"}');
+    disclosure = new Disclosure({ controller, target, persist });
+
+    expect(disclosure.getState().expanded).toBeFalsy();
+  });
+});
+
+describe('Disclosure hidden until found', () => {
+  afterEach(() => {
+    disclosure.destroy();
+  });
+
+  it('Should fall back to the hidden attribute without support', () => {
+    disclosure = new Disclosure({ controller, target, hiddenUntilFound: true });
+
+    expect(target.getAttribute('hidden')).toEqual('');
+
+    target.dispatchEvent(new Event('beforematch'));
+    expect(disclosure.getState().expanded).toBeFalsy();
+  });
+
+  it('Should open when find-in-page matches the target\'s content', () => {
+    document.body.onbeforematch = null;
+    disclosure = new Disclosure({ controller, target, hiddenUntilFound: true });
+    delete document.body.onbeforematch;
+
+    expect(target.getAttribute('hidden')).toEqual('until-found');
+
+    target.dispatchEvent(new Event('beforematch'));
+
+    expect(disclosure.getState().expanded).toBeTruthy();
+    expect(target.getAttribute('hidden')).toBeNull();
+
+    disclosure.close();
+    expect(target.getAttribute('hidden')).toEqual('until-found');
+  });
+});
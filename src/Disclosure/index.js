@@ -3,6 +3,17 @@ import keyCodes from '../lib/keyCodes';
 import interactiveChildren from '../lib/interactiveChildren';
 import { tabIndexDeny, tabIndexAllow } from '../lib/rovingTabIndex';
 import { setUniqueId } from '../lib/uniqueId';
+import {
+  stopTransition,
+  getExpandedState,
+  setExpandedState,
+} from '../lib/transition';
+import {
+  hashMatches,
+  replaceHash,
+  scrollToHashElement,
+} from '../lib/hash';
+import supportsHiddenUntilFound from '../lib/hiddenUntilFound';
 
 /**
  * Class to set up a controller-target relationship for independently revealing
@@ -61,6 +72,45 @@ export default class Disclosure extends AriaComponent {
        */
       allowOutsideClick: true,
 
+      /**
+       * The prefix for the classes applied while the target is opening or
+       * closing. Hiding the target is delayed until the transition ends.
+       *
+       * @type {string}
+       */
+      transition: '',
+
+      /**
+       * The maximum transition duration, in milliseconds.
+       *
+       * @type {number}
+       */
+      transitionTimeout: 1000,
+
+      /**
+       * Open the Disclosure when the URL hash identifies the target or one of
+       * its descendants, on load and when the hash changes.
+       *
+       * @type {boolean}
+       */
+      hashSync: false,
+
+      /**
+       * Set the URL hash to the target's ID when the Disclosure opens, and
+       * remove it when the Disclosure closes.
+       *
+       * @type {boolean}
+       */
+      updateHash: false,
+
+      /**
+       * Hide the target with `hidden="until-found"` where supported, allowing
+       * find-in-page to reach its content and open the Disclosure.
+       *
+       * @type {boolean}
+       */
+      hiddenUntilFound: false,
+
       /**
        * Callback to run after the component initializes.
        *
@@ -87,7 +137,14 @@ export default class Disclosure extends AriaComponent {
     Object.assign(this, options, config);
 
     // Initial component state.
-    this.state = { expanded: this.loadOpen };
+    this.state = this.getInitialState();
+
+    /**
+     * Cancel the running transition, if any.
+     *
+     * @type {function}
+     */
+    this.cancelTransition = null;
 
     // Bind class methods.
     this.init = this.init.bind(this);
@@ -97,7 +154,11 @@ export default class Disclosure extends AriaComponent {
     this.handleControllerKeydown = this.handleControllerKeydown.bind(this);
     this.toggleExpandedState = this.toggleExpandedState.bind(this);
     this.closeOnOutsideClick = this.closeOnOutsideClick.bind(this);
+    this.handleHashChange = this.handleHashChange.bind(this);
+    this.handleTargetBeforeMatch = this.handleTargetBeforeMatch.bind(this);
     this.stateWasUpdated = this.stateWasUpdated.bind(this);
+    this.getInitialState = this.getInitialState.bind(this);
+    this.setExpandedState = this.setExpandedState.bind(this);
 
     // Check for a valid controller and target before initializing.
     if (null !== this.controller && null !== this.target) {
@@ -115,9 +176,29 @@ export default class Disclosure extends AriaComponent {
      */
     super.setSelfReference([this.controller, this.target]);
 
+    // Restore the persisted expanded state.
+    const persisted = this.readPersistedState();
+    if (null !== persisted && 'boolean' === typeof persisted.expanded) {
+      Object.assign(this.state, { expanded: persisted.expanded });
+    }
+
+    // Load open if the URL hash identifies the target.
+    if (this.hashSync && hashMatches(this.target)) {
+      Object.assign(this.state, { expanded: true });
+    }
+
     // Component state is initially set in the constructor.
     const { expanded } = this.state;
 
+    /**
+     * The value of the target's `hidden` attribute when collapsed.
+     *
+     * @type {string}
+     */
+    this.hiddenValue = (this.hiddenUntilFound && supportsHiddenUntilFound())
+      ? 'until-found'
+      : '';
+
     /**
      * Collect the target element's interactive child elements.
      * @type {array}
@@ -165,7 +246,7 @@ export default class Disclosure extends AriaComponent {
      */
     if (! expanded) {
       this.target.setAttribute('aria-hidden', 'true');
-      this.target.setAttribute('hidden', '');
+      this.target.setAttribute('hidden', this.hiddenValue);
     }
 
     // Add event listeners
@@ -174,6 +255,12 @@ export default class Disclosure extends AriaComponent {
     if (! this.allowOutsideClick) {
       document.body.addEventListener('click', this.closeOnOutsideClick);
     }
+    if (this.hashSync) {
+      window.addEventListener('hashchange', this.handleHashChange);
+    }
+    if ('until-found' === this.hiddenValue) {
+      this.target.addEventListener('beforematch', this.handleTargetBeforeMatch);
+    }
 
     /*
      * Prevent focus on interactive elements in the target when the target is
@@ -181,7 +268,9 @@ export default class Disclosure extends AriaComponent {
      * `display:none`, but is necessary if the target is hidden by other means,
      * such as minimized height or width.
      */
-    tabIndexDeny(this.interactiveChildElements);
+    if (! expanded) {
+      tabIndexDeny(this.interactiveChildElements);
+    }
 
     // Run {initCallback}
     this.onInit.call(this);
@@ -192,9 +281,11 @@ export default class Disclosure extends AriaComponent {
    *
    * @param {object} state The component state.
    * @param {boolean} state.expanded The expected `expanded` state.
+   * @param {boolean} state.opening  Whether the target is transitioning open.
+   * @param {boolean} state.closing  Whether the target is transitioning closed.
    */
   stateWasUpdated() {
-    const { expanded } = this.state;
+    const { expanded, closing } = this.state;
 
     this.controller.setAttribute('aria-expanded', `${expanded}`);
 
@@ -210,7 +301,11 @@ export default class Disclosure extends AriaComponent {
       this.target.removeAttribute('hidden');
     } else {
       this.target.setAttribute('aria-hidden', 'true');
-      this.target.setAttribute('hidden', '');
+
+      // Wait for the target to finish closing before hiding it.
+      if (! closing) {
+        this.target.setAttribute('hidden', this.hiddenValue);
+      }
     }
 
     // Allow or deny keyboard focus depending on component state.
@@ -220,6 +315,17 @@ export default class Disclosure extends AriaComponent {
       tabIndexDeny(this.interactiveChildElements);
     }
 
+    this.writePersistedState({ expanded });
+
+    // Keep the URL hash in sync with the target, leaving deeper links intact.
+    if (this.updateHash) {
+      if (expanded && ! hashMatches(this.target)) {
+        replaceHash(this.target.id);
+      } else if (! expanded && hashMatches(this.target)) {
+        replaceHash('');
+      }
+    }
+
     // Run {stateChangeCallback}
     this.onStateChange.call(this, this.state);
   }
@@ -272,6 +378,25 @@ export default class Disclosure extends AriaComponent {
     }
   }
 
+  /**
+   * Open the Disclosure when the URL hash changes to identify the target.
+   */
+  handleHashChange() {
+    if (! this.state.expanded && hashMatches(this.target)) {
+      this.open();
+      scrollToHashElement();
+    }
+  }
+
+  /**
+   * Open the Disclosure when find-in-page matches text within the target.
+   */
+  handleTargetBeforeMatch() {
+    if (! this.state.expanded) {
+      this.open();
+    }
+  }
+
   /**
    * Remove all ARIA attributes added by this class.
    */
@@ -296,6 +421,9 @@ export default class Disclosure extends AriaComponent {
       this.controller.removeAttribute('role');
     }
 
+    // Stop the running transition.
+    stopTransition(this);
+
     // Remove target attributes.
     this.target.removeAttribute('aria-hidden');
     this.target.removeAttribute('hidden');
@@ -310,25 +438,50 @@ export default class Disclosure extends AriaComponent {
       this.handleControllerKeydown
     );
     document.body.removeEventListener('click', this.closeOnOutsideClick);
+    window.removeEventListener('hashchange', this.handleHashChange);
+    this.target.removeEventListener(
+      'beforematch',
+      this.handleTargetBeforeMatch
+    );
 
     // Reset initial state.
-    this.state = { expanded: this.loadOpen };
+    this.state = this.getInitialState();
 
     // Run {destroyCallback}
     this.onDestroy.call(this);
   }
 
+  /**
+   * Get the component's initial state, which tracks the opening and closing
+   * states if the Disclosure transitions.
+   *
+   * @return {object}
+   */
+  getInitialState() {
+    return getExpandedState(this, this.loadOpen);
+  }
+
+  /**
+   * Update the expanded state, running the enter or leave transition unless
+   * the user prefers reduced motion.
+   *
+   * @param {boolean} expanded The expected `expanded` state.
+   */
+  setExpandedState(expanded) {
+    setExpandedState(this, expanded);
+  }
+
   /**
    * Update component state to open the Disclosure.
    */
   open() {
-    this.setState({ expanded: true });
+    this.setExpandedState(true);
   }
 
   /**
    * Update component state to close the Disclosure.
    */
   close() {
-    this.setState({ expanded: false });
+    this.setExpandedState(false);
   }
 }
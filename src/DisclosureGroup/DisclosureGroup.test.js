@@ -0,0 +1,206 @@
+/* eslint-disable max-len */
+import { DisclosureGroup, Disclosure } from 'root';
+import { events } from '../lib/events';
+
+const { click } = events;
+
+const groupMarkup = `
+  <button class="first">Shipping</button>
+  <div class="first-target"><p>Shipping details</p></div>
+  <button class="second">Returns</button>
+  <div class="second-target"><p>Returns details</p></div>
+  <button class="third">Warranty</button>
+  <div class="third-target"><p>Warranty details</p></div>
+`;
+
+// Set up our document body
+document.body.innerHTML = groupMarkup;
+
+const controllers = Array.from(document.querySelectorAll('button'));
+const targets = Array.from(document.querySelectorAll('div'));
+
+let group = {};
+let disclosures = [];
+
+// Mock functions.
+const onStateChange = jest.fn();
+const onInit = jest.fn();
+const onDestroy = jest.fn();
+const onDisclosureStateChange = jest.fn();
+
+describe('DisclosureGroup with Disclosure instances', () => {
+  beforeAll(() => {
+    disclosures = controllers.map((controller, index) => new Disclosure({
+      controller,
+      target: targets[index],
+      loadOpen: (1 === index),
+      onStateChange: onDisclosureStateChange,
+    }));
+
+    group = new DisclosureGroup({
+      disclosures,
+      onStateChange,
+      onInit,
+      onDestroy,
+    });
+  });
+
+  beforeEach(() => {
+    onStateChange.mockClear();
+    onDisclosureStateChange.mockClear();
+  });
+
+  it('Should be instantiated as expected', () => {
+    expect(group).toBeInstanceOf(DisclosureGroup);
+    expect(group.disclosures).toEqual(disclosures);
+    expect(group.ownDisclosures).toEqual([]);
+
+    expect(group.getState()).toEqual({ activeIndex: 1, expanded: [1] });
+    expect(onInit).toHaveBeenCalled();
+  });
+
+  it('Should close the other Disclosures when one is opened', () => {
+    controllers[0].dispatchEvent(click);
+
+    expect(disclosures[0].getState().expanded).toBe(true);
+    expect(disclosures[1].getState().expanded).toBe(false);
+    expect(targets[1].getAttribute('aria-hidden')).toEqual('true');
+
+    expect(group.getState()).toEqual({ activeIndex: 0, expanded: [0] });
+    expect(onStateChange).toHaveBeenCalledWith({ activeIndex: 0, expanded: [0] });
+  });
+
+  it('Should still run each Disclosure\'s own state change callback', () => {
+    group.open(2);
+
+    expect(onDisclosureStateChange).toHaveBeenCalledWith({ expanded: true });
+    expect(onDisclosureStateChange).toHaveBeenCalledWith({ expanded: false });
+    expect(group.getState()).toEqual({ activeIndex: 2, expanded: [2] });
+  });
+
+  it('Should report no active Disclosure when all are closed', () => {
+    group.close(2);
+
+    expect(group.getState()).toEqual({ activeIndex: -1, expanded: [] });
+  });
+
+  it('Should open and close all Disclosures', () => {
+    group.openAll();
+
+    disclosures.forEach((disclosure) => {
+      expect(disclosure.getState().expanded).toBe(true);
+    });
+    expect(group.getState().expanded).toEqual([0, 1, 2]);
+
+    group.closeAll();
+
+    disclosures.forEach((disclosure) => {
+      expect(disclosure.getState().expanded).toBe(false);
+    });
+    expect(group.getState()).toEqual({ activeIndex: -1, expanded: [] });
+  });
+
+  it('Should close the others when one is opened after opening all', () => {
+    group.openAll();
+    controllers[1].dispatchEvent(click);
+    controllers[1].dispatchEvent(click);
+
+    expect(group.getState()).toEqual({ activeIndex: 1, expanded: [1] });
+  });
+
+  it('Should restore the Disclosures\' callbacks when destroyed', () => {
+    group.destroy();
+
+    expect(onDestroy).toHaveBeenCalled();
+    disclosures.forEach((disclosure) => {
+      expect(disclosure.onStateChange).toBe(onDisclosureStateChange);
+    });
+
+    // The Disclosures are left intact.
+    expect(controllers[0].getAttribute('aria-expanded')).toEqual('false');
+
+    controllers[0].dispatchEvent(click);
+
+    expect(disclosures[0].getState().expanded).toBe(true);
+    expect(disclosures[1].getState().expanded).toBe(true);
+    expect(onStateChange).not.toHaveBeenCalled();
+
+    disclosures.forEach((disclosure) => disclosure.destroy());
+  });
+});
+
+describe('DisclosureGroup with controllers and targets', () => {
+  beforeAll(() => {
+    group = new DisclosureGroup({
+      disclosures: controllers.map((controller, index) => ({
+        controller,
+        target: targets[index],
+      })),
+      exclusive: false,
+    });
+  });
+
+  it('Should create a Disclosure for each pair', () => {
+    expect(group.disclosures).toHaveLength(3);
+    expect(group.ownDisclosures).toEqual(group.disclosures);
+
+    group.disclosures.forEach((disclosure, index) => {
+      expect(disclosure).toBeInstanceOf(Disclosure);
+      expect(disclosure.controller).toEqual(controllers[index]);
+    });
+
+    expect(group.getState()).toEqual({ activeIndex: -1, expanded: [] });
+  });
+
+  it('Should allow multiple open Disclosures if not exclusive', () => {
+    controllers[2].dispatchEvent(click);
+    controllers[0].dispatchEvent(click);
+
+    expect(group.getState()).toEqual({ activeIndex: 0, expanded: [0, 2] });
+
+    controllers[0].dispatchEvent(click);
+
+    expect(group.getState()).toEqual({ activeIndex: 2, expanded: [2] });
+  });
+
+  it('Should destroy the Disclosures it created', () => {
+    group.destroy();
+
+    expect(controllers[2].getAttribute('aria-expanded')).toBeNull();
+    expect(targets[2].getAttribute('aria-hidden')).toBeNull();
+  });
+});
+
+describe('DisclosureGroup with several Disclosures initially open', () => {
+  it('Should only keep the first open when exclusive', () => {
+    group = new DisclosureGroup({
+      disclosures: controllers.map((controller, index) => ({
+        controller,
+        target: targets[index],
+        loadOpen: (0 < index),
+      })),
+    });
+
+    expect(group.getState()).toEqual({ activeIndex: 1, expanded: [1] });
+    expect(controllers[1].getAttribute('aria-expanded')).toEqual('true');
+    expect(controllers[2].getAttribute('aria-expanded')).toEqual('false');
+    expect(targets[2].getAttribute('aria-hidden')).toEqual('true');
+
+    group.destroy();
+  });
+
+  it('Should keep them open if not exclusive', () => {
+    group = new DisclosureGroup({
+      disclosures: controllers.map((controller, index) => ({
+        controller,
+        target: targets[index],
+        loadOpen: (0 < index),
+      })),
+      exclusive: false,
+    });
+
+    expect(group.getState()).toEqual({ activeIndex: 1, expanded: [1, 2] });
+
+    group.destroy();
+  });
+});
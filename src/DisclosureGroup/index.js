@@ -0,0 +1,290 @@
+import AriaComponent from '../AriaComponent';
+import Disclosure from '../Disclosure';
+import isInstanceOf from '../lib/isInstanceOf';
+
+/**
+ * Class to coordinate a group of Disclosures, such that opening one closes the
+ * others.
+ *
+ * https://www.w3.org/TR/wai-aria-practices-1.1/#disclosure
+ */
+export default class DisclosureGroup extends AriaComponent {
+  /**
+   * Create a DisclosureGroup.
+   * @constructor
+   *
+   * @param {object} config The config object.
+   */
+  constructor(config) {
+    super(config);
+
+    /**
+     * The component name.
+     *
+     * @type {string}
+     */
+    this.componentName = 'DisclosureGroup';
+
+    /**
+     * Options shape.
+     *
+     * @type {object}
+     */
+    const options = {
+      /**
+       * The grouped Disclosures. Each item is either a Disclosure instance, or
+       * an object with `controller` and `target` properties from which to
+       * create one.
+       *
+       * @type {array}
+       */
+      disclosures: [],
+
+      /**
+       * Close the other Disclosures when one is opened. Only the first of those
+       * initially open is kept open.
+       *
+       * @type {boolean}
+       */
+      exclusive: true,
+
+      /**
+       * Callback to run after the component initializes.
+       *
+       * @callback initCallback
+       */
+      onInit: () => {},
+
+      /**
+       * Callback to run after component state is updated.
+       *
+       * @callback stateChangeCallback
+       */
+      onStateChange: () => {},
+
+      /**
+       * Callback to run after the component is destroyed.
+       *
+       * @callback destroyCallback
+       */
+      onDestroy: () => {},
+    };
+
+    // Merge config options with defaults.
+    Object.assign(this, options, config);
+
+    // Bind class methods.
+    this.onDisclosureStateChange = this.onDisclosureStateChange.bind(this);
+    this.stateWasUpdated = this.stateWasUpdated.bind(this);
+    this.getExpandedIndexes = this.getExpandedIndexes.bind(this);
+    this.open = this.open.bind(this);
+    this.close = this.close.bind(this);
+    this.openAll = this.openAll.bind(this);
+    this.closeAll = this.closeAll.bind(this);
+    this.destroy = this.destroy.bind(this);
+
+    this.init();
+  }
+
+  /**
+   * Collect the Disclosures and subscribe to their state changes.
+   */
+  init() {
+    /**
+     * Disclosures created by this class, which are destroyed along with it.
+     *
+     * @type {array}
+     */
+    this.ownDisclosures = [];
+
+    /**
+     * The grouped Disclosure instances.
+     *
+     * @type {array}
+     */
+    this.disclosures = this.disclosures.map((item) => {
+      if (isInstanceOf(item, Disclosure)) {
+        return item;
+      }
+
+      const disclosure = new Disclosure(item);
+      this.ownDisclosures.push(disclosure);
+
+      return disclosure;
+    });
+
+    // Only the first open Disclosure stays open when the group is exclusive.
+    if (this.exclusive) {
+      this.getExpandedIndexes().slice(1).forEach((index) => {
+        this.disclosures[index].close();
+      });
+    }
+
+    /**
+     * The Disclosures' own state change callbacks, restored on destroy.
+     *
+     * @type {array}
+     */
+    this.disclosureCallbacks = this.disclosures.map(
+      ({ onStateChange }) => onStateChange
+    );
+
+    // Run each Disclosure's own callback before updating the group.
+    this.disclosures.forEach((disclosure, index) => {
+      Object.assign(disclosure, {
+        onStateChange: (state) => {
+          this.disclosureCallbacks[index].call(disclosure, state);
+          this.onDisclosureStateChange(index, state);
+        },
+      });
+    });
+
+    /**
+     * Whether all Disclosures are being opened at once, which is allowed even
+     * when the group is exclusive.
+     *
+     * @type {boolean}
+     */
+    this.openingAll = false;
+
+    const expanded = this.getExpandedIndexes();
+
+    /**
+     * The initial default state.
+     *
+     * @type {object}
+     */
+    this.state = {
+      activeIndex: (0 < expanded.length) ? expanded[0] : -1,
+      expanded,
+    };
+
+    // Run {initCallback}
+    this.onInit.call(this);
+  }
+
+  /**
+   * Run the state change callback.
+   *
+   * @param {object} state The component state.
+   * @param {number} state.activeIndex The most recently opened Disclosure's index.
+   * @param {array}  state.expanded    The indexes of the open Disclosures.
+   */
+  stateWasUpdated() {
+    // Run {stateChangeCallback}
+    this.onStateChange.call(this, this.state);
+  }
+
+  /**
+   * Get the indexes of the open Disclosures.
+   *
+   * @return {array}
+   */
+  getExpandedIndexes() {
+    return this.disclosures.reduce((acc, disclosure, index) => (
+      disclosure.getState().expanded ? [...acc, index] : acc
+    ), []);
+  }
+
+  /**
+   * Track the open Disclosures, closing the others if the group is exclusive.
+   *
+   * @param {number}  index          The Disclosure's index.
+   * @param {object}  state          The Disclosure's state.
+   * @param {boolean} state.expanded Whether the Disclosure is open.
+   */
+  onDisclosureStateChange(index, { expanded }) {
+    if (expanded && this.exclusive && ! this.openingAll) {
+      this.disclosures.forEach((disclosure, disclosureIndex) => {
+        if (disclosureIndex !== index && disclosure.getState().expanded) {
+          disclosure.close();
+        }
+      });
+    }
+
+    const { activeIndex } = this.state;
+    const expandedIndexes = this.getExpandedIndexes();
+
+    // The active Disclosure is the most recently opened, while it's open.
+    let nextActiveIndex = expanded ? index : activeIndex;
+    if (! expandedIndexes.includes(nextActiveIndex)) {
+      nextActiveIndex = (0 < expandedIndexes.length) ? expandedIndexes[0] : -1;
+    }
+
+    this.setState({
+      activeIndex: nextActiveIndex,
+      expanded: expandedIndexes,
+    });
+  }
+
+  /**
+   * Open a Disclosure, closing the others if the group is exclusive.
+   *
+   * @param {number} index The Disclosure's index.
+   */
+  open(index) {
+    const disclosure = this.disclosures[index];
+
+    if (undefined !== disclosure) {
+      disclosure.open();
+    }
+  }
+
+  /**
+   * Close a Disclosure.
+   *
+   * @param {number} index The Disclosure's index.
+   */
+  close(index) {
+    const disclosure = this.disclosures[index];
+
+    if (undefined !== disclosure) {
+      disclosure.close();
+    }
+  }
+
+  /**
+   * Open all Disclosures, even if the group is exclusive.
+   */
+  openAll() {
+    this.openingAll = true;
+
+    this.disclosures.forEach((disclosure) => {
+      if (! disclosure.getState().expanded) {
+        disclosure.open();
+      }
+    });
+
+    this.openingAll = false;
+  }
+
+  /**
+   * Close all Disclosures.
+   */
+  closeAll() {
+    this.disclosures.forEach((disclosure) => {
+      if (disclosure.getState().expanded) {
+        disclosure.close();
+      }
+    });
+  }
+
+  /**
+   * Restore the Disclosures' callbacks, and destroy the Disclosures created by
+   * this class.
+   */
+  destroy() {
+    this.disclosures.forEach((disclosure, index) => {
+      Object.assign(disclosure, {
+        onStateChange: this.disclosureCallbacks[index],
+      });
+    });
+
+    this.ownDisclosures.forEach((disclosure) => {
+      disclosure.destroy();
+    });
+
+    // Run {destroyCallback}
+    this.onDestroy.call(this);
+  }
+}
@@ -244,3 +244,1039 @@ describe('Listbox with default configuration', () => {
     });
   });
 });
+
+describe('Listbox with multiple selection', () => {
+  beforeAll(() => {
+    document.body.innerHTML = listboxMarkup;
+
+    listbox = new Listbox({
+      controller: document.querySelector('button'),
+      target: document.querySelector('ul'),
+      multiselectable: true,
+    });
+  });
+
+  const getOptions = () => Array.from(document.querySelectorAll('li'));
+
+  it('Should add the correct attributes', () => {
+    const list = document.querySelector('ul');
+    expect(list.getAttribute('aria-multiselectable')).toEqual('true');
+    expect(listbox.getState().selected).toEqual([]);
+
+    getOptions().forEach((option) => {
+      expect(option.getAttribute('aria-selected')).toEqual('false');
+    });
+  });
+
+  it('Should toggle the active option with SPACE and stay open', () => {
+    const [first, second] = getOptions();
+    const list = document.querySelector('ul');
+    listbox.show();
+
+    list.dispatchEvent(keydownSpace);
+    expect(listbox.getState().expanded).toBeTruthy();
+    expect(listbox.getState().selected).toEqual([first]);
+    expect(first.getAttribute('aria-selected')).toEqual('true');
+    expect(first.getAttribute('data-active')).toEqual('true');
+
+    list.dispatchEvent(keydownDown);
+    expect(first.getAttribute('data-active')).toBeNull();
+    expect(second.getAttribute('data-active')).toEqual('true');
+    expect(second.getAttribute('aria-selected')).toEqual('false');
+
+    list.dispatchEvent(keydownSpace);
+    expect(listbox.getState().selected).toEqual([first, second]);
+
+    list.dispatchEvent(keydownSpace);
+    expect(listbox.getState().selected).toEqual([first]);
+    expect(second.getAttribute('aria-selected')).toEqual('false');
+  });
+
+  it('Should extend the selection with Shift+Arrow', () => {
+    const options = getOptions();
+    const list = document.querySelector('ul');
+    listbox.clear();
+    listbox.setState({ activeDescendant: options[2] });
+
+    const shiftDown = new KeyboardEvent('keydown', { keyCode: 40, shiftKey: true, bubbles: true });
+    list.dispatchEvent(shiftDown);
+    list.dispatchEvent(shiftDown);
+
+    expect(listbox.getState().activeDescendant).toEqual(options[4]);
+    expect(listbox.getState().selected).toEqual([options[2], options[3], options[4]]);
+  });
+
+  it('Should shrink the selection with Shift+Arrow', () => {
+    const options = getOptions();
+    const list = document.querySelector('ul');
+
+    const shiftUp = new KeyboardEvent('keydown', { keyCode: 38, shiftKey: true, bubbles: true });
+    list.dispatchEvent(shiftUp);
+
+    expect(listbox.getState().activeDescendant).toEqual(options[3]);
+    expect(listbox.getState().selected).toEqual([options[2], options[3]]);
+
+    // The range continues past the anchor.
+    list.dispatchEvent(shiftUp);
+    list.dispatchEvent(shiftUp);
+    expect(listbox.getState().selected).toEqual([options[1], options[2]]);
+
+    // Moving without Shift sets a new anchor.
+    list.dispatchEvent(keydownUp);
+    list.dispatchEvent(new KeyboardEvent('keydown', { keyCode: 40, shiftKey: true, bubbles: true }));
+    expect(listbox.getState().selected).toEqual([options[0], options[1]]);
+  });
+
+  it('Should select and deselect all options with Ctrl+A', () => {
+    const list = document.querySelector('ul');
+    const ctrlA = new KeyboardEvent('keydown', { keyCode: 65, ctrlKey: true, bubbles: true });
+
+    list.dispatchEvent(ctrlA);
+    expect(listbox.getState().selected).toEqual(getOptions());
+
+    list.dispatchEvent(ctrlA);
+    expect(listbox.getState().selected).toEqual([]);
+  });
+
+  it('Should toggle clicked options and stay open', () => {
+    const options = getOptions();
+    listbox.show();
+
+    options[5].dispatchEvent(click);
+    options[1].dispatchEvent(click);
+    expect(listbox.getState().expanded).toBeTruthy();
+    expect(listbox.getState().activeDescendant).toEqual(options[1]);
+    // Selection is kept in DOM order.
+    expect(listbox.getState().selected).toEqual([options[1], options[5]]);
+
+    options[5].dispatchEvent(click);
+    expect(listbox.getState().selected).toEqual([options[1]]);
+  });
+
+  it('Should use the selected options as the controller text', () => {
+    const options = getOptions();
+    const button = document.querySelector('button');
+
+    listbox.select(options[0]);
+    listbox.select(options[2]);
+    listbox.deselect(options[1]);
+    listbox.hide();
+    expect(button.textContent).toEqual('Anchorage, Chicago');
+
+    listbox.clear();
+    listbox.show();
+    listbox.hide();
+    expect(button.textContent).toEqual('Choose');
+  });
+
+  it('Should close on RETURN', () => {
+    const list = document.querySelector('ul');
+    listbox.show();
+
+    list.dispatchEvent(keydownReturn);
+    expect(listbox.getState().expanded).toBeFalsy();
+  });
+
+  it('Should remove the added attributes when destroyed', () => {
+    listbox.destroy();
+
+    expect(document.body.innerHTML).toEqual(listboxMarkup);
+  });
+});
+
+describe('Standalone Listbox', () => {
+  const standaloneMarkup = listboxMarkup.replace('<button>Choose</button>', '');
+
+  beforeAll(() => {
+    document.body.innerHTML = standaloneMarkup;
+
+    listbox = new Listbox({ target: document.querySelector('ul') });
+  });
+
+  it('Should be instantiated without a Popup', () => {
+    const list = document.querySelector('ul');
+    const [first] = Array.from(list.children);
+
+    expect(listbox.popup).toBeNull();
+    expect(list.listbox).toBeInstanceOf(Listbox);
+    expect(list.getAttribute('role')).toEqual('listbox');
+    expect(list.getAttribute('tabindex')).toEqual('0');
+    expect(list.getAttribute('hidden')).toBeNull();
+    expect(list.getAttribute('aria-activedescendant')).toEqual(first.id);
+    expect(first.getAttribute('aria-selected')).toEqual('true');
+  });
+
+  it('Should select options with the keyboard and stay visible', () => {
+    const list = document.querySelector('ul');
+    const options = Array.from(list.children);
+    list.focus();
+
+    list.dispatchEvent(keydownDown);
+    expect(listbox.getState().activeDescendant).toEqual(options[1]);
+    expect(list.getAttribute('aria-activedescendant')).toEqual(options[1].id);
+    expect(options[1].getAttribute('aria-selected')).toEqual('true');
+    expect(options[0].getAttribute('aria-selected')).toBeNull();
+
+    list.dispatchEvent(keydownEnd);
+    expect(listbox.getState().activeDescendant).toEqual(options[8]);
+
+    list.dispatchEvent(keydownReturn);
+    list.dispatchEvent(keydownEsc);
+    expect(list.getAttribute('hidden')).toBeNull();
+    expect(document.activeElement).toEqual(list);
+  });
+
+  it('Should select options with type-ahead', () => {
+    const list = document.querySelector('ul');
+    list.dispatchEvent(new KeyboardEvent('keydown', { keyCode: 'D'.charCodeAt(), bubbles: true }));
+
+    expect(listbox.getState().activeDescendant.textContent).toEqual('Dallas');
+  });
+
+  it('Should select clicked options and stay visible', () => {
+    const list = document.querySelector('ul');
+    list.children[2].dispatchEvent(click);
+
+    expect(listbox.getState().activeDescendant).toEqual(list.children[2]);
+    expect(list.getAttribute('hidden')).toBeNull();
+  });
+
+  it('Should remove the added attributes when destroyed', () => {
+    listbox.destroy();
+
+    expect(document.body.innerHTML).toEqual(standaloneMarkup);
+  });
+});
+
+describe('Listbox with option groups', () => {
+  const groupedMarkup = `
+  <button>Choose</button>
+  <ul>
+    <li>Anywhere</li>
+    <li>
+      <span>Alaska</span>
+      <ul>
+        <li>Anchorage</li>
+        <li>Fairbanks</li>
+      </ul>
+    </li>
+    <li>
+      <span>Texas</span>
+      <ul>
+        <li>Austin</li>
+        <li>Dallas</li>
+      </ul>
+    </li>
+  </ul>
+`;
+
+  let list;
+  let options;
+
+  beforeAll(() => {
+    document.body.innerHTML = groupedMarkup;
+    list = document.querySelector('ul');
+
+    listbox = new Listbox({
+      controller: document.querySelector('button'),
+      target: list,
+    });
+
+    options = ['Anywhere', 'Anchorage', 'Fairbanks', 'Austin', 'Dallas']
+      .map((text) => Array.from(document.querySelectorAll('li')).find((item) => text === item.textContent));
+  });
+
+  it('Should flatten options across groups', () => {
+    expect(listbox.options).toEqual(options);
+    expect(listbox.firstOption).toEqual(options[0]);
+    expect(listbox.lastOption).toEqual(options[4]);
+
+    options.forEach((option) => {
+      expect(option.getAttribute('role')).toEqual('option');
+    });
+  });
+
+  it('Should label each group', () => {
+    const groups = list.querySelectorAll('ul');
+    const labels = list.querySelectorAll('span');
+
+    expect(listbox.groups).toEqual(Array.from(groups));
+    Array.from(groups).forEach((group, index) => {
+      expect(group.getAttribute('role')).toEqual('group');
+      expect(group.getAttribute('aria-labelledby')).toEqual(labels[index].id);
+      expect(group.parentElement.getAttribute('role')).toEqual('presentation');
+    });
+  });
+
+  it('Should navigate across groups, skipping the labels', () => {
+    listbox.show();
+
+    list.dispatchEvent(keydownDown);
+    expect(listbox.getState().activeDescendant).toEqual(options[1]);
+
+    listbox.setState({ activeDescendant: options[2] });
+    list.dispatchEvent(keydownDown);
+    expect(listbox.getState().activeDescendant).toEqual(options[3]);
+
+    list.dispatchEvent(keydownUp);
+    expect(listbox.getState().activeDescendant).toEqual(options[2]);
+
+    list.dispatchEvent(keydownEnd);
+    expect(listbox.getState().activeDescendant).toEqual(options[4]);
+
+    list.dispatchEvent(keydownHome);
+    expect(listbox.getState().activeDescendant).toEqual(options[0]);
+  });
+
+  it('Should not match group labels with type-ahead', () => {
+    list.dispatchEvent(new KeyboardEvent('keydown', { keyCode: 'T'.charCodeAt(), bubbles: true }));
+    expect(listbox.getState().activeDescendant).toEqual(options[0]);
+  });
+
+  it('Should ignore clicks on group labels', () => {
+    listbox.show();
+    list.querySelector('span').dispatchEvent(click);
+
+    expect(listbox.getState().expanded).toBeTruthy();
+    expect(listbox.getState().activeDescendant).toEqual(options[0]);
+  });
+
+  it('Should remove the added attributes when destroyed', () => {
+    listbox.hide();
+    listbox.destroy();
+
+    document.querySelector('button').textContent = 'Choose';
+    expect(document.body.innerHTML).toEqual(groupedMarkup);
+  });
+
+  it('Should support groups without a label', () => {
+    document.body.innerHTML = `
+      <button>Choose</button>
+      <ul>
+        <li><ul><li>a</li></ul></li>
+        <li>
+          <ul>
+            <li>b</li>
+            <li>c</li>
+          </ul>
+        </li>
+      </ul>
+    `;
+    list = document.querySelector('ul');
+
+    listbox = new Listbox({
+      controller: document.querySelector('button'),
+      target: list,
+    });
+
+    expect(listbox.options.map((option) => option.textContent)).toEqual(['a', 'b', 'c']);
+    listbox.groups.forEach((group) => {
+      expect(group.getAttribute('role')).toEqual('group');
+      expect(group.getAttribute('aria-labelledby')).toBeNull();
+    });
+
+    listbox.destroy();
+    expect(listbox.groups[0].getAttribute('role')).toBeNull();
+  });
+});
+
+describe('Listbox with disabled options', () => {
+  const disabledMarkup = `
+  <button>Choose</button>
+  <ul>
+    <li aria-disabled="true">Anchorage</li>
+    <li>Baltimore</li>
+    <li class="unavailable">Chicago</li>
+    <li aria-disabled="true">Dallas</li>
+    <li>El Paso</li>
+    <li class="unavailable">Fort Lauderdale</li>
+  </ul>
+`;
+
+  let list;
+  let options;
+
+  beforeAll(() => {
+    document.body.innerHTML = disabledMarkup;
+    list = document.querySelector('ul');
+    options = Array.from(list.children);
+
+    listbox = new Listbox({
+      controller: document.querySelector('button'),
+      target: list,
+      disabledMatches: '[aria-disabled="true"], .unavailable',
+    });
+  });
+
+  it('Should mark matching options as disabled', () => {
+    expect(listbox.disabledOptions).toEqual([options[0], options[2], options[3], options[5]]);
+    expect(listbox.enabledOptions).toEqual([options[1], options[4]]);
+
+    listbox.disabledOptions.forEach((option) => {
+      expect(option.getAttribute('aria-disabled')).toEqual('true');
+      expect(option.getAttribute('role')).toEqual('option');
+    });
+  });
+
+  it('Should start on the first enabled option', () => {
+    expect(listbox.firstOption).toEqual(options[1]);
+    expect(listbox.lastOption).toEqual(options[4]);
+    expect(listbox.getState().activeDescendant).toEqual(options[1]);
+  });
+
+  it('Should skip disabled options when navigating', () => {
+    listbox.show();
+
+    list.dispatchEvent(keydownDown);
+    expect(listbox.getState().activeDescendant).toEqual(options[4]);
+
+    // There are no enabled options beyond the last.
+    list.dispatchEvent(keydownDown);
+    expect(listbox.getState().activeDescendant).toEqual(options[4]);
+
+    list.dispatchEvent(keydownUp);
+    expect(listbox.getState().activeDescendant).toEqual(options[1]);
+
+    list.dispatchEvent(keydownEnd);
+    expect(listbox.getState().activeDescendant).toEqual(options[4]);
+
+    list.dispatchEvent(keydownHome);
+    expect(listbox.getState().activeDescendant).toEqual(options[1]);
+  });
+
+  it('Should skip disabled options with type-ahead', () => {
+    list.dispatchEvent(new KeyboardEvent('keydown', { keyCode: 'C'.charCodeAt(), bubbles: true }));
+    expect(listbox.getState().activeDescendant).toEqual(options[1]);
+  });
+
+  it('Should not select disabled options', () => {
+    options[3].dispatchEvent(click);
+    expect(listbox.getState().expanded).toBeTruthy();
+    expect(listbox.getState().activeDescendant).toEqual(options[1]);
+
+    listbox.select(options[2]);
+    expect(listbox.getState().activeDescendant).toEqual(options[1]);
+  });
+
+  it('Should only remove the attributes it added when destroyed', () => {
+    listbox.hide();
+    listbox.destroy();
+
+    document.querySelector('button').textContent = 'Choose';
+    expect(document.body.innerHTML).toEqual(disabledMarkup);
+  });
+});
+
+describe('Listbox with form integration', () => {
+  const formMarkup = `
+  <form>
+    <button type="button">Choose</button>
+    <ul>
+      <li data-value="ANC">Anchorage</li>
+      <li data-value="BAL">Baltimore</li>
+      <li>Chicago</li>
+    </ul>
+  </form>
+`;
+
+  const onChange = jest.fn();
+  const onInput = jest.fn();
+
+  let form;
+  let list;
+  let options;
+
+  beforeAll(() => {
+    document.body.innerHTML = formMarkup;
+    form = document.querySelector('form');
+    list = document.querySelector('ul');
+    options = Array.from(list.children);
+
+    form.addEventListener('change', onChange);
+    form.addEventListener('input', onInput);
+
+    listbox = new Listbox({
+      controller: document.querySelector('button'),
+      target: list,
+      name: 'city',
+    });
+  });
+
+  const getValues = () => new FormData(form).getAll('city');
+
+  it('Should submit the initial option value', () => {
+    expect(listbox.form).toEqual(form);
+    expect(listbox.inputs).toHaveLength(1);
+    expect(listbox.inputs[0].type).toEqual('hidden');
+    expect(getValues()).toEqual(['ANC']);
+    expect(onChange).not.toHaveBeenCalled();
+  });
+
+  it('Should update the value and dispatch events when closed', () => {
+    listbox.show();
+    list.dispatchEvent(keydownDown);
+    list.dispatchEvent(keydownDown);
+    expect(getValues()).toEqual(['ANC']);
+    expect(onInput).not.toHaveBeenCalled();
+    expect(onChange).not.toHaveBeenCalled();
+
+    // The option text is used without a `data-value` attribute.
+    list.dispatchEvent(keydownReturn);
+    expect(getValues()).toEqual(['Chicago']);
+    expect(onInput).toHaveBeenCalledTimes(1);
+    expect(onChange).toHaveBeenCalledTimes(1);
+
+    // State changes without a new value aren't announced.
+    listbox.show();
+    list.dispatchEvent(keydownReturn);
+    expect(onChange).toHaveBeenCalledTimes(1);
+  });
+
+  it('Should restore the previous value when closed with Escape', () => {
+    listbox.show();
+    list.dispatchEvent(keydownUp);
+    expect(listbox.getState().activeDescendant).toEqual(options[1]);
+
+    list.dispatchEvent(keydownEsc);
+    expect(listbox.getState().activeDescendant).toEqual(options[2]);
+    expect(getValues()).toEqual(['Chicago']);
+    expect(document.querySelector('button').textContent).toEqual('Chicago');
+    expect(onChange).toHaveBeenCalledTimes(1);
+  });
+
+  it('Should restore the initial value when the form is reset', () => {
+    form.reset();
+    expect(listbox.getState().activeDescendant).toEqual(options[0]);
+    expect(getValues()).toEqual(['ANC']);
+    expect(document.querySelector('button').textContent).toEqual('Anchorage');
+    expect(onChange).toHaveBeenCalledTimes(1);
+  });
+
+  it('Should submit each selected option when multiselectable', () => {
+    listbox.destroy();
+    document.body.innerHTML = formMarkup;
+    form = document.querySelector('form');
+    list = document.querySelector('ul');
+    options = Array.from(list.children);
+
+    listbox = new Listbox({
+      controller: document.querySelector('button'),
+      target: list,
+      multiselectable: true,
+      name: 'city',
+    });
+
+    expect(listbox.inputs).toHaveLength(0);
+    expect(getValues()).toEqual([]);
+
+    listbox.select(options[2]);
+    listbox.select(options[0]);
+    expect(getValues()).toEqual(['ANC', 'Chicago']);
+
+    form.reset();
+    expect(getValues()).toEqual([]);
+    expect(listbox.getState().selected).toEqual([]);
+  });
+
+  it('Should remove the hidden inputs when destroyed', () => {
+    listbox.select(options[1]);
+    listbox.destroy();
+
+    expect(document.body.innerHTML).toEqual(formMarkup);
+  });
+});
+
+describe('Listbox enhancing a native select', () => {
+  const selectMarkup = `
+  <form>
+    <label for="city">City</label>
+    <select id="city" name="city">
+      <option value="ANC">Anchorage</option>
+      <optgroup label="Maryland">
+        <option value="BAL" selected="">Baltimore</option>
+        <option value="FRE" disabled="">Frederick</option>
+      </optgroup>
+      <optgroup label="Texas" disabled="">
+        <option value="DAL">Dallas</option>
+      </optgroup>
+      <option>El Paso</option>
+    </select>
+  </form>
+`;
+
+  let select;
+  let list;
+  let options;
+
+  beforeAll(() => {
+    document.body.innerHTML = selectMarkup;
+    select = document.querySelector('select');
+
+    listbox = Listbox.fromSelect(select);
+    ({ target: list, options } = listbox);
+  });
+
+  it('Should generate the controller and target from the select', () => {
+    expect(listbox).toBeInstanceOf(Listbox);
+    expect(select.hidden).toBeTruthy();
+    expect(select.nextElementSibling).toEqual(listbox.controller);
+    expect(listbox.controller.nextElementSibling).toEqual(list);
+
+    const label = document.querySelector('label');
+    expect(listbox.controller.getAttribute('type')).toEqual('button');
+    expect(listbox.controller.getAttribute('aria-labelledby')).toEqual(`${label.id} ${listbox.controller.id}`);
+    expect(list.getAttribute('aria-labelledby')).toEqual(label.id);
+
+    expect(options.map((option) => option.textContent)).toEqual(['Anchorage', 'Baltimore', 'Frederick', 'Dallas', 'El Paso']);
+    expect(options.map((option) => option.getAttribute('data-value'))).toEqual(['ANC', 'BAL', 'FRE', 'DAL', 'El Paso']);
+    expect(listbox.groups).toHaveLength(2);
+    expect(listbox.disabledOptions).toEqual([options[2], options[3]]);
+  });
+
+  it('Should start with the select\'s selection', () => {
+    expect(listbox.getState().activeDescendant).toEqual(options[1]);
+    expect(listbox.controller.textContent).toEqual('Baltimore');
+  });
+
+  it('Should update the select from the Listbox', () => {
+    const onChange = jest.fn();
+    select.addEventListener('change', onChange);
+
+    listbox.show();
+    list.dispatchEvent(keydownDown);
+    list.dispatchEvent(keydownReturn);
+
+    expect(select.value).toEqual('El Paso');
+    expect(onChange).toHaveBeenCalledTimes(1);
+    expect(listbox.controller.textContent).toEqual('El Paso');
+
+    select.removeEventListener('change', onChange);
+  });
+
+  it('Should update the Listbox from the select', () => {
+    select.value = 'ANC';
+    select.dispatchEvent(new Event('change'));
+
+    expect(listbox.getState().activeDescendant).toEqual(options[0]);
+    expect(listbox.controller.textContent).toEqual('Anchorage');
+  });
+
+  it('Should follow the select when the form is reset', () => {
+    jest.useFakeTimers();
+    document.querySelector('form').reset();
+    jest.runAllTimers();
+    jest.useRealTimers();
+
+    expect(select.value).toEqual('BAL');
+    expect(listbox.getState().activeDescendant).toEqual(options[1]);
+  });
+
+  it('Should match the select\'s options by value after a refresh', () => {
+    const [anchorage] = options;
+    anchorage.remove();
+    listbox.refresh();
+
+    listbox.setState({ activeDescendant: listbox.lastOption });
+    expect(select.value).toEqual('El Paso');
+
+    select.value = 'BAL';
+    select.dispatchEvent(new Event('change'));
+    expect(listbox.getState().activeDescendant).toEqual(options[1]);
+
+    list.insertBefore(anchorage, list.firstChild);
+    listbox.refresh();
+  });
+
+  it('Should restore the select when destroyed', () => {
+    listbox.destroy();
+
+    expect(document.body.innerHTML).toEqual(selectMarkup);
+  });
+
+  it('Should support multiple selects', () => {
+    document.body.innerHTML = `
+      <select multiple="">
+        <option selected="">Anchorage</option>
+        <option>Baltimore</option>
+        <option selected="">Chicago</option>
+      </select>
+    `;
+    select = document.querySelector('select');
+
+    listbox = Listbox.fromSelect(select);
+    ({ options } = listbox);
+
+    expect(listbox.multiselectable).toBeTruthy();
+    expect(listbox.getState().selected).toEqual([options[0], options[2]]);
+    expect(listbox.controller.textContent).toEqual('Anchorage, Chicago');
+
+    listbox.toggleSelected(options[1]);
+    expect(Array.from(select.selectedOptions).map((option) => option.text)).toEqual(['Anchorage', 'Baltimore', 'Chicago']);
+
+    listbox.destroy();
+  });
+});
+
+describe('Listbox rendering virtually', () => {
+  const data = Array.from({ length: 1000 }, (item, index) => `Option ${index}`);
+  data[1] = { label: 'Option 1', value: 'one', disabled: true };
+  data[500] = 'Zulu';
+
+  let list;
+
+  const getRendered = () => Array.from(list.querySelectorAll('[role="option"]'));
+  const getSpacers = () => Array.from(list.querySelectorAll('[role="presentation"]'));
+
+  beforeAll(() => {
+    document.body.innerHTML = '<ul></ul>';
+    list = document.querySelector('ul');
+
+    // Mock the target's height, since jsdom doesn't do layout.
+    Object.defineProperty(list, 'clientHeight', { value: 100, configurable: true });
+
+    listbox = new Listbox({
+      target: list,
+      data,
+      optionHeight: 20,
+      overscan: 2,
+    });
+  });
+
+  it('Should only create the rendered options', () => {
+    expect(listbox.virtual).toBeTruthy();
+    expect(listbox.options).toHaveLength(1000);
+    // The rendered options, along with the last option.
+    expect(Object.keys(listbox.options)).toEqual(['0', '1', '2', '3', '4', '5', '6', '999']);
+    expect(listbox.options[1].getAttribute('data-value')).toEqual('one');
+    expect(listbox.disabledOptions).toEqual([listbox.options[1]]);
+    expect(listbox.lastOption).toEqual(listbox.options[999]);
+
+    listbox.options.forEach((option, index) => {
+      expect(option.id).toEqual(`${list.id}-option-${index}`);
+      expect(option.getAttribute('aria-setsize')).toEqual('1000');
+      expect(option.getAttribute('aria-posinset')).toEqual(`${index + 1}`);
+    });
+
+    // Options are created as they're needed.
+    const option = listbox.getOption(600);
+    expect(option.textContent).toEqual('Option 600');
+    expect(listbox.getOption(600)).toEqual(option);
+    expect(listbox.getOption(1000)).toBeUndefined();
+  });
+
+  it('Should only render the options within view', () => {
+    expect(getRendered()).toEqual(listbox.options.slice(0, 7));
+
+    // The unrendered options are represented by a spacer.
+    const [spacer] = getSpacers();
+    expect(getSpacers()).toHaveLength(1);
+    expect(spacer.style.height).toEqual(`${993 * 20}px`);
+  });
+
+  it('Should render options as the target scrolls', () => {
+    list.scrollTop = 2000;
+    list.dispatchEvent(new Event('scroll'));
+
+    // The active option remains rendered.
+    expect(getRendered()).toEqual([
+      listbox.options[0],
+      ...listbox.options.slice(98, 107),
+    ]);
+    expect(getSpacers().map((spacer) => spacer.style.height)).toEqual([`${97 * 20}px`, `${893 * 20}px`]);
+    expect(list.getAttribute('aria-activedescendant')).toEqual(listbox.options[0].id);
+  });
+
+  it('Should scroll to and render the active option', () => {
+    list.dispatchEvent(keydownEnd);
+    expect(listbox.getState().activeDescendant).toEqual(listbox.options[999]);
+    expect(list.scrollTop).toEqual((1000 * 20) - 100);
+    expect(getRendered()).toContain(listbox.options[999]);
+    expect(list.getAttribute('aria-activedescendant')).toEqual(listbox.options[999].id);
+
+    list.dispatchEvent(keydownHome);
+    expect(list.scrollTop).toEqual(0);
+    expect(listbox.options[999].getAttribute('aria-selected')).toBeNull();
+    expect(getRendered()).toEqual(listbox.options.slice(0, 7));
+  });
+
+  it('Should select options with type-ahead', () => {
+    list.dispatchEvent(new KeyboardEvent('keydown', { keyCode: 'Z'.charCodeAt(), bubbles: true }));
+    expect(listbox.getState().activeDescendant).toEqual(listbox.options[500]);
+    expect(list.scrollTop).toEqual((501 * 20) - 100);
+    expect(getRendered()).toContain(listbox.options[500]);
+  });
+
+  it('Should remove the rendered options when destroyed', () => {
+    listbox.destroy();
+
+    expect(document.body.innerHTML).toEqual('<ul></ul>');
+  });
+});
+
+describe('Listbox with changing options', () => {
+  let list;
+
+  const addOption = (text) => {
+    const listItem = document.createElement('li');
+    listItem.textContent = text;
+    list.appendChild(listItem);
+
+    return listItem;
+  };
+
+  beforeAll(() => {
+    document.body.innerHTML = listboxMarkup;
+    list = document.querySelector('ul');
+
+    listbox = new Listbox({
+      controller: document.querySelector('button'),
+      target: list,
+    });
+  });
+
+  it('Should set up added options when refreshed', () => {
+    const added = addOption('Juneau');
+    listbox.refresh();
+
+    expect(listbox.options).toHaveLength(10);
+    expect(listbox.lastOption).toEqual(added);
+    expect(added.getAttribute('role')).toEqual('option');
+    expect(added.id).not.toEqual('');
+
+    listbox.show();
+    list.dispatchEvent(keydownEnd);
+    expect(listbox.getState().activeDescendant).toEqual(added);
+
+    list.dispatchEvent(new KeyboardEvent('keydown', { keyCode: 'J'.charCodeAt(), bubbles: true }));
+    expect(listbox.getState().activeDescendant).toEqual(added);
+  });
+
+  it('Should keep the selection if it still exists', () => {
+    const [first, second] = listbox.options;
+    listbox.setState({ activeDescendant: second });
+    listbox.hide();
+
+    first.remove();
+    listbox.refresh();
+
+    expect(listbox.firstOption).toEqual(second);
+    expect(listbox.getState().activeDescendant).toEqual(second);
+    expect(document.querySelector('button').textContent).toEqual('Baltimore');
+  });
+
+  it('Should fall back to the first option if the selection is removed', () => {
+    const [first, second] = listbox.options;
+    first.remove();
+    listbox.refresh();
+
+    expect(listbox.options).not.toContain(first);
+    expect(listbox.getState().activeDescendant).toEqual(second);
+    expect(document.querySelector('button').textContent).toEqual('Chicago');
+  });
+
+  it('Should refresh automatically when observing the target', () => {
+    listbox.destroy();
+    document.body.innerHTML = listboxMarkup;
+    list = document.querySelector('ul');
+
+    listbox = new Listbox({
+      controller: document.querySelector('button'),
+      target: list,
+      multiselectable: true,
+      observe: true,
+    });
+
+    const [first, second] = listbox.options;
+    listbox.select(first);
+    listbox.select(second);
+
+    first.remove();
+    const added = addOption('Juneau');
+
+    // Mutation observers are notified asynchronously.
+    return Promise.resolve().then(() => {
+      expect(listbox.options).toHaveLength(9);
+      expect(listbox.options).toContain(added);
+      expect(added.getAttribute('aria-selected')).toEqual('false');
+      expect(listbox.getState().selected).toEqual([second]);
+    });
+  });
+
+  it('Should stop observing when destroyed', () => {
+    listbox.destroy();
+    addOption('Ketchikan');
+
+    return Promise.resolve().then(() => {
+      expect(listbox.options).toHaveLength(9);
+    });
+  });
+
+  it('Should handle every option being removed', () => {
+    document.body.innerHTML = listboxMarkup.replace('<button>Choose</button>', '');
+    list = document.querySelector('ul');
+
+    listbox = new Listbox({ target: list, name: 'city' });
+
+    list.textContent = '';
+    listbox.refresh();
+
+    expect(listbox.options).toHaveLength(0);
+    expect(listbox.getState().activeDescendant).toBeUndefined();
+    expect(list.getAttribute('aria-activedescendant')).toBeNull();
+    expect(document.querySelector('input[name="city"]')).toBeNull();
+
+    listbox.destroy();
+  });
+});
+
+describe('Listbox with persisted state', () => {
+  const persist = { key: 'listbox-city' };
+
+  beforeEach(() => {
+    document.body.innerHTML = listboxMarkup;
+  });
+
+  afterEach(() => {
+    listbox.destroy();
+    window.localStorage.clear();
+  });
+
+  it('Should persist the selected option\'s value', () => {
+    listbox = new Listbox({
+      controller: document.querySelector('button'),
+      target: document.querySelector('ul'),
+      persist,
+    });
+
+    listbox.select(listbox.options[3]);
+
+    expect(JSON.parse(window.localStorage.getItem('listbox-city')))
+      .toEqual({ selected: ['Dallas'] });
+  });
+
+  it('Should only persist the value once the popup closes', () => {
+    listbox = new Listbox({
+      controller: document.querySelector('button'),
+      target: document.querySelector('ul'),
+      persist,
+    });
+
+    const list = document.querySelector('ul');
+    listbox.show();
+    list.dispatchEvent(keydownDown);
+
+    expect(window.localStorage.getItem('listbox-city')).toBeNull();
+
+    list.dispatchEvent(keydownReturn);
+
+    expect(JSON.parse(window.localStorage.getItem('listbox-city')))
+      .toEqual({ selected: ['Baltimore'] });
+  });
+
+  it('Should restore the persisted selection before initializing', () => {
+    window.localStorage.setItem('listbox-city', '{"selected":["Chicago"]}');
+    const onInitPersisted = jest.fn(function checkState() {
+      expect(this.getState().activeDescendant.textContent).toEqual('Chicago');
+    });
+
+    listbox = new Listbox({
+      controller: document.querySelector('button'),
+      target: document.querySelector('ul'),
+      persist,
+      onInit: onInitPersisted,
+    });
+
+    expect(onInitPersisted).toHaveBeenCalled();
+    expect(document.querySelector('button').textContent).toEqual('Chicago');
+  });
+
+  it('Should ignore stale and invalid persisted values', () => {
+    window.localStorage.setItem('listbox-city', '{"selected":["Juneau"]}');
+
+    listbox = new Listbox({
+      controller: document.querySelector('button'),
+      target: document.querySelector('ul'),
+      persist,
+    });
+
+    expect(listbox.getState().activeDescendant).toEqual(listbox.firstOption);
+
+    listbox.destroy();
+    document.body.innerHTML = listboxMarkup;
+    window.localStorage.setItem('listbox-city', 'Chicago');
+
+    listbox = new Listbox({
+      controller: document.querySelector('button'),
+      target: document.querySelector('ul'),
+      persist,
+    });
+
+    expect(listbox.getState().activeDescendant).toEqual(listbox.firstOption);
+  });
+
+  it('Should restore the markup\'s selection when the form is reset', () => {
+    document.body.innerHTML = `<form>${listboxMarkup}</form>`;
+    window.localStorage.setItem('listbox-city', '{"selected":["Chicago"]}');
+
+    const form = document.querySelector('form');
+    const getValues = () => new FormData(form).getAll('city');
+
+    listbox = new Listbox({
+      controller: document.querySelector('button'),
+      target: document.querySelector('ul'),
+      name: 'city',
+      persist,
+    });
+
+    expect(getValues()).toEqual(['Chicago']);
+
+    form.reset();
+    expect(listbox.getState().activeDescendant).toEqual(listbox.firstOption);
+    expect(getValues()).toEqual(['Anchorage']);
+    expect(document.querySelector('button').textContent).toEqual('Anchorage');
+  });
+
+  it('Should restore multiple selected options from a custom storage', () => {
+    const storage = {
+      getItem: jest.fn(() => '{"selected":["Baltimore","Hartford","Juneau"]}'),
+      setItem: jest.fn(),
+    };
+
+    listbox = new Listbox({
+      controller: document.querySelector('button'),
+      target: document.querySelector('ul'),
+      multiselectable: true,
+      persist: { key: 'listbox-cities', storage },
+    });
+
+    const { options } = listbox;
+
+    expect(storage.getItem).toHaveBeenCalledWith('listbox-cities');
+    expect(listbox.getState().selected).toEqual([options[1], options[7]]);
+    expect(options[1].getAttribute('aria-selected')).toEqual('true');
+
+    listbox.deselect(options[7]);
+
+    expect(storage.setItem)
+      .toHaveBeenCalledWith('listbox-cities', '{"selected":["Baltimore"]}');
+  });
+
+  it('Should not throw when the storage is unavailable', () => {
+    const storage = {
+      getItem: () => {
+        throw new Error('SecurityError');
+      },
+      setItem: () => {
+        throw new Error('QuotaExceededError');
+      },
+    };
+
+    listbox = new Listbox({
+      controller: document.querySelector('button'),
+      target: document.querySelector('ul'),
+      persist: { key: 'listbox-city', storage },
+    });
+
+    expect(() => listbox.select(listbox.options[1])).not.toThrow();
+  });
+});
@@ -3,7 +3,8 @@ import Popup from '../Popup';
 import { setUniqueId } from '../lib/uniqueId';
 import keyCodes from '../lib/keyCodes';
 import Search from '../lib/Search';
-import getFirstAndLastItems from '../lib/getFirstAndLastItems';
+import scrollIntoView from '../lib/scrollIntoView';
+import setActiveDescendant from '../lib/activeDescendant';
 
 /**
  * Class to set up an interactive Listbox element.
@@ -11,6 +12,108 @@ import getFirstAndLastItems from '../lib/getFirstAndLastItems';
  * https://www.w3.org/TR/wai-aria-practices-1.1/#Listbox
  */
 export default class ListBox extends AriaComponent {
+  /**
+   * Enhance a native select element into a Listbox. The controller and target
+   * are generated from the select's options and inserted after it.
+   *
+   * @param {HTMLSelectElement} select The select element.
+   * @param {object}            config Additional config options.
+   * @return {ListBox}
+   */
+  static fromSelect(select, config = {}) {
+    const controller = document.createElement('button');
+    const target = document.createElement('ul');
+    const [label = null] = Array.from(select.labels || []);
+
+    /**
+     * Create a list item from an option element.
+     *
+     * @param {HTMLOptionElement} option   The option element.
+     * @param {boolean}           disabled Whether the option's group is disabled.
+     * @return {HTMLLIElement}
+     */
+    const createListItem = (option, disabled) => {
+      const listItem = document.createElement('li');
+      listItem.textContent = option.text;
+      listItem.setAttribute('data-value', option.value);
+
+      if (disabled || option.disabled) {
+        listItem.setAttribute('aria-disabled', 'true');
+      }
+
+      return listItem;
+    };
+
+    Array.from(select.children).forEach((child) => {
+      if ('OPTGROUP' === child.nodeName) {
+        // Option groups are marked up as the Listbox expects them.
+        const listItem = document.createElement('li');
+        const groupLabel = document.createElement('span');
+        const group = document.createElement('ul');
+
+        groupLabel.textContent = child.label;
+        Array.from(child.children).forEach((option) => {
+          group.appendChild(createListItem(option, child.disabled));
+        });
+
+        listItem.appendChild(groupLabel);
+        listItem.appendChild(group);
+        target.appendChild(listItem);
+      } else if ('OPTION' === child.nodeName) {
+        target.appendChild(createListItem(child, false));
+      }
+    });
+
+    controller.setAttribute('type', 'button');
+
+    if (null !== label) {
+      // The label doubles as the text for multiple selects with no selection.
+      controller.textContent = label.textContent.trim();
+
+      setUniqueId(label);
+      setUniqueId(controller);
+      controller.setAttribute(
+        'aria-labelledby',
+        `${label.id} ${controller.id}`
+      );
+      target.setAttribute('aria-labelledby', label.id);
+    }
+
+    select.parentNode.insertBefore(controller, select.nextSibling);
+    select.parentNode.insertBefore(target, controller.nextSibling);
+
+    return new this({
+      ...config,
+      controller,
+      target,
+      multiselectable: select.multiple,
+      nativeSelect: select,
+    });
+  }
+
+  /**
+   * Get the value submitted for an option.
+   *
+   * @param {HTMLElement} option The option.
+   * @return {string} The option's `data-value` attribute, or its text.
+   */
+  static getOptionValue(option) {
+    const value = option.getAttribute('data-value');
+
+    return (null !== value) ? value : option.textContent;
+  }
+
+  /**
+   * Get the label, value and disabled state of a `data` item, which is either
+   * the option's text or an object with those properties.
+   *
+   * @param {string|object} item The `data` item.
+   * @return {object}
+   */
+  static getItemData(item) {
+    return ('object' === typeof item) ? item : { label: item };
+  }
+
   /**
    * Create a ListBox.
    * @constructor
@@ -34,7 +137,8 @@ export default class ListBox extends AriaComponent {
      */
     const options = {
       /**
-       * The element used to trigger the Listbox Popup.
+       * The element used to trigger the Listbox Popup. If omitted, the Listbox
+       * is always visible and receives focus itself.
        *
        * @type {HTMLButtonElement}
        */
@@ -47,6 +151,75 @@ export default class ListBox extends AriaComponent {
        */
       target: null,
 
+      /**
+       * Allow more than one option to be selected.
+       *
+       * @type {boolean}
+       */
+      multiselectable: false,
+
+      /**
+       * Selector used to identify disabled options. Disabled options are
+       * announced, but can't be selected or navigated to.
+       *
+       * @type {string}
+       */
+      disabledMatches: '[aria-disabled="true"]',
+
+      /**
+       * The name with which to submit the selected option's value as part of
+       * a form. An option's value is its `data-value` attribute, falling back
+       * to its text.
+       *
+       * @type {string}
+       */
+      name: '',
+
+      /**
+       * The native select element enhanced by the Listbox, which is hidden and
+       * kept in sync with the Listbox selection.
+       *
+       * @see ListBox.fromSelect()
+       *
+       * @type {HTMLSelectElement}
+       */
+      nativeSelect: null,
+
+      /**
+       * Option data used to render the Listbox virtually. Only the options
+       * within view are added to the target, which is expected to have a
+       * fixed height and scroll.
+       *
+       * Each item is either the option's text or an object with `label`, and
+       * optional `value` and `disabled` properties.
+       *
+       * @type {array}
+       */
+      data: null,
+
+      /**
+       * The height of each option, in pixels, when rendering virtually.
+       *
+       * @type {number}
+       */
+      optionHeight: 32,
+
+      /**
+       * The number of options to render beyond each side of the visible
+       * window when rendering virtually.
+       *
+       * @type {number}
+       */
+      overscan: 5,
+
+      /**
+       * Refresh the options automatically when list items are added to or
+       * removed from the target. Not supported when rendering virtually.
+       *
+       * @type {boolean}
+       */
+      observe: false,
+
       /**
        * Callback to run after the component initializes.
        *
@@ -80,10 +253,36 @@ export default class ListBox extends AriaComponent {
     this.handleTargetBlur = this.handleTargetBlur.bind(this);
     this.scrollOptionIntoView = this.scrollOptionIntoView.bind(this);
     this.onPopupStateChange = this.onPopupStateChange.bind(this);
+    this.toggleSelected = this.toggleSelected.bind(this);
+    this.selectRange = this.selectRange.bind(this);
+    this.getNextEnabledIndex = this.getNextEnabledIndex.bind(this);
+    this.select = this.select.bind(this);
+    this.deselect = this.deselect.bind(this);
+    this.clear = this.clear.bind(this);
     this.show = this.show.bind(this);
     this.hide = this.hide.bind(this);
     this.destroy = this.destroy.bind(this);
     this.stateWasUpdated = this.stateWasUpdated.bind(this);
+    this.collectOptions = this.collectOptions.bind(this);
+    this.createOption = this.createOption.bind(this);
+    this.getOption = this.getOption.bind(this);
+    this.getOptionIndex = this.getOptionIndex.bind(this);
+    this.isEnabledIndex = this.isEnabledIndex.bind(this);
+    this.isEnabledOption = this.isEnabledOption.bind(this);
+    this.getEnabledOptionsBetween = this.getEnabledOptionsBetween.bind(this);
+    this.setUpOptions = this.setUpOptions.bind(this);
+    this.refresh = this.refresh.bind(this);
+    this.renderOptions = this.renderOptions.bind(this);
+    this.handleTargetScroll = this.handleTargetScroll.bind(this);
+    this.updateAttributes = this.updateAttributes.bind(this);
+    this.getSelectedOptions = this.getSelectedOptions.bind(this);
+    this.updateFormValue = this.updateFormValue.bind(this);
+    this.handleFormReset = this.handleFormReset.bind(this);
+    this.getNativeSelectState = this.getNativeSelectState.bind(this);
+    this.updateNativeSelect = this.updateNativeSelect.bind(this);
+    this.handleNativeSelectChange = this.handleNativeSelectChange.bind(this);
+    this.handleNativeSelectReset = this.handleNativeSelectReset.bind(this);
+    this.getPersistedSelection = this.getPersistedSelection.bind(this);
 
     this.init();
   }
@@ -96,83 +295,660 @@ export default class ListBox extends AriaComponent {
      * A reference to the class instance added to the controller and target
      * elements to enable external interactions with this instance.
      */
-    super.setSelfReference([this.controller, this.target]);
+    super.setSelfReference(
+      [this.controller, this.target].filter((element) => null !== element)
+    );
+
+    /**
+     * Whether the Listbox is always visible, rather than shown and hidden by a
+     * controller.
+     *
+     * @type {boolean}
+     */
+    this.standalone = null === this.controller;
 
     /**
-     * The target list items.
+     * Whether the options are created from `data` and rendered virtually.
+     *
+     * @type {boolean}
+     */
+    this.virtual = Array.isArray(this.data);
+
+    /**
+     * The indexes of the rendered options when rendering virtually, used to
+     * skip rendering when nothing has changed.
+     *
+     * @type {string}
+     */
+    this.renderedIndexes = '';
+
+    // Options whose `aria-disabled` attribute was added by this class.
+    this.markedDisabledOptions = [];
+
+    // Collect the options and set up their attributes.
+    this.setUpOptions();
+
+    /**
+     * The initial default state.
+     *
+     * The element is saved, rather than just its ID attribute, to remove the
+     * need to query the DOM for it each time we need to act on it.
+     *
+     * @type {HTMLElement}
+     */
+    this.state = { activeDescendant: this.firstOption };
+
+    /**
+     * The option selected when the Popup was last shown, restored when a
+     * single-select Listbox is closed with the Escape key.
+     *
+     * @type {HTMLElement}
+     */
+    this.committedOption = this.firstOption;
+
+    /**
+     * The controller's original text, used as its label when no options are
+     * selected in a multiselectable Listbox.
+     *
+     * @type {string}
+     */
+    this.controllerText = this.standalone ? '' : this.controller.textContent;
+
+    if (this.multiselectable) {
+      // Indicate that more than one option can be selected.
+      this.target.setAttribute('aria-multiselectable', 'true');
+
+      /*
+       * The selected options, which are tracked separately from the active
+       * descendant when more than one option can be selected.
+       */
+      this.state.selected = [];
+
+      /**
+       * The option from which Shift+Arrow extends the selected range.
+       *
+       * @type {HTMLElement|null}
+       */
+      this.selectionAnchor = null;
+
+      this.options.forEach((listItem) => {
+        listItem.setAttribute('aria-selected', 'false');
+      });
+    }
+
+    if (null !== this.nativeSelect) {
+      const { form } = this.nativeSelect;
+
+      // Start with the native select's selection.
+      Object.assign(this.state, this.getNativeSelectState());
+      this.controller.textContent = this.getSelectionText();
+
+      // The select is still submitted with the form, so hide it rather than
+      // removing it.
+      this.nativeSelect.setAttribute('hidden', '');
+      this.nativeSelect.addEventListener(
+        'change',
+        this.handleNativeSelectChange
+      );
+
+      if (null !== form) {
+        form.addEventListener('reset', this.handleNativeSelectReset);
+      }
+    }
+
+    /**
+     * Hidden inputs used to submit the selected options' values.
      *
      * @type {array}
      */
-    this.options = Array.prototype.slice.call(this.target.children, 0);
+    this.inputs = [];
 
     /**
-     * Initialize search.
+     * The submitted values, in the order of the selected options.
+     *
+     * @type {array}
+     */
+    this.values = [];
+
+    /**
+     * The form to which the selected options' values are submitted.
+     *
+     * @type {HTMLFormElement|null}
+     */
+    this.form = null;
+
+    if ('' !== this.name) {
+      this.form = this.target.closest('form');
+
+      /*
+       * Save the markup's selection, rather than a persisted one, to restore
+       * it when the form is reset.
+       */
+      this.initialState = { ...this.state };
+
+      this.updateFormValue();
+      this.initialValues = this.values;
+
+      if (null !== this.form) {
+        this.form.addEventListener('reset', this.handleFormReset);
+      }
+    }
+
+    // Restore the persisted selection.
+    const persistedSelection = this.getPersistedSelection();
+    if (null !== persistedSelection) {
+      Object.assign(this.state, persistedSelection);
+      this.updateAttributes();
+
+      if (! this.standalone) {
+        this.controller.textContent = this.getSelectionText();
+      }
+
+      if (null !== this.nativeSelect) {
+        this.updateNativeSelect();
+      }
+
+      if ('' !== this.name) {
+        this.updateFormValue();
+      }
+    }
+
+    /*
+     * Add the 'listbox' role to signify a component that presents a listbox of
+     * options from which to select.
+     */
+    this.target.setAttribute('role', 'listbox');
+
+    /*
+     * Handle keydown events before the Popup does, so the previous option can
+     * be restored before the Popup closes on the Escape key.
+     */
+    this.target.addEventListener('keydown', this.handleTargetKeydown);
+
+    if (this.standalone) {
+      /**
+       * There's nothing to show or hide a standalone Listbox.
+       *
+       * @type {null}
+       */
+      this.popup = null;
+
+      // The standalone Listbox is focused directly, so include it in tab order.
+      this.target.setAttribute('tabindex', '0');
+
+      // The options are always visible, so track the active option right away.
+      this.updateAttributes();
+    } else {
+      /**
+       * The Listbox is basically a Popup to present a list of options, so we
+       * instantiate a Popup and subscribe to state changes to act on the
+       * Listbox when the Popup is shown and hidden.
+       *
+       * @type {Popup}
+       */
+      this.popup = new Popup({
+        controller: this.controller,
+        target: this.target,
+        type: 'listbox',
+        onStateChange: this.onPopupStateChange,
+      });
+
+      /*
+       * Set up the target element to allow programatically setting focus to it
+       * when the Listbox opens.
+       *
+       * @see this.stateWasUpdated()
+       */
+      this.target.setAttribute('tabindex', '-1');
+
+      this.controller.addEventListener('keydown', this.handleControllerKeyup);
+      this.target.addEventListener('blur', this.handleTargetBlur);
+    }
+
+    if (this.virtual) {
+      // Render the initial window and update it as the target scrolls.
+      this.renderOptions();
+      this.target.addEventListener('scroll', this.handleTargetScroll);
+    }
+
+    // Add event listeners.
+    this.target.addEventListener('click', this.handleTargetClicks);
+
+    // Prevent scrolling when using UP/DOWN arrows on the button
+    window.addEventListener('keydown', this.preventWindowScroll);
+
+    /**
+     * Observes the target for added and removed options.
+     *
+     * @type {MutationObserver|null}
+     */
+    this.observer = null;
+
+    if (this.observe && ! this.virtual) {
+      this.observer = new MutationObserver(this.refresh);
+      this.observer.observe(this.target, { childList: true, subtree: true });
+    }
+
+    // Run {initCallback}
+    this.onInit.call(this);
+  }
+
+  /**
+   * Collect the options and set up their attributes, along with the option
+   * groups, disabled options and type-ahead search.
+   */
+  setUpOptions() {
+    /**
+     * Option groups' lists.
+     *
+     * @type {array}
+     */
+    this.groups = [];
+
+    /**
+     * The target list items, including those within option groups. When
+     * rendering virtually, options are only created once they're rendered or
+     * selected, so the array has a slot for each `data` item.
+     *
+     * @type {array}
+     */
+    this.options = this.virtual
+      ? new Array(this.data.length)
+      : this.collectOptions();
+
+    // Remove attributes from a previous setup, in case options have changed.
+    this.markedDisabledOptions.forEach((listItem) => {
+      listItem.removeAttribute('aria-disabled');
+    });
+
+    /**
+     * The indexes of the options that can't be selected, used to skip them
+     * without searching the options.
+     *
+     * @type {Set}
+     */
+    this.disabledIndexes = new Set();
+
+    if (this.virtual) {
+      this.data.forEach((item, index) => {
+        if (this.constructor.getItemData(item).disabled) {
+          this.disabledIndexes.add(index);
+        }
+      });
+    } else {
+      this.options.forEach((listItem, index) => {
+        if (listItem.matches(this.disabledMatches)) {
+          this.disabledIndexes.add(index);
+        }
+      });
+    }
+
+    /**
+     * Options that can't be selected. When rendering virtually, only the
+     * options created so far are included.
+     *
+     * @type {array}
+     */
+    this.disabledOptions = this.options.filter((listItem, index) => (
+      this.disabledIndexes.has(index)
+    ));
+
+    /**
+     * Options whose `aria-disabled` attribute was added by this class.
+     *
+     * @type {array}
+     */
+    this.markedDisabledOptions = this.disabledOptions.filter((listItem) => (
+      'true' !== listItem.getAttribute('aria-disabled')
+    ));
+
+    this.markedDisabledOptions.forEach((listItem) => {
+      listItem.setAttribute('aria-disabled', 'true');
+    });
+
+    /**
+     * Options that can be selected. When rendering virtually, only the options
+     * created so far are included.
+     *
+     * @type {array}
+     */
+    this.enabledOptions = this.options.filter((listItem, index) => (
+      ! this.disabledIndexes.has(index)
+    ));
+
+    /**
+     * Initialize search. Disabled options are excluded. When rendering
+     * virtually, the `data` labels are searched, rather than the options.
+     *
      * @type {Search}
      */
-    this.search = new Search(this.options);
+    this.search = new Search(
+      this.virtual
+        ? this.data
+          .map((item, index) => ({
+            textContent: this.constructor.getItemData(item).label,
+            index,
+          }))
+          .filter(({ index }) => ! this.disabledIndexes.has(index))
+        : this.enabledOptions
+    );
+
+    /*
+     * Set the `option` role for each list itme and ensure each has a unique ID.
+     * The ID here is what will be used to track the active descendant.
+     */
+    this.options.forEach((listItem) => {
+      setUniqueId(listItem);
+      listItem.setAttribute('role', 'option');
+    });
+
+    // Save first and last selectable option as properties.
+    Object.assign(this, {
+      firstOption: this.getOption(this.getNextEnabledIndex(-1, 1)),
+      lastOption: this.getOption(
+        this.getNextEnabledIndex(this.options.length, -1)
+      ),
+    });
+  }
+
+  /**
+   * Recollect the options after list items are added, removed or disabled,
+   * keeping the current selection if it's still available. When rendering
+   * virtually, the options are recreated from `data`.
+   */
+  refresh() {
+    const previousSelection = this.getSelectedOptions();
+    const { activeDescendant, selected } = this.state;
+
+    this.setUpOptions();
+
+    /*
+     * Find the enabled option matching a previous option by ID, since virtual
+     * options are recreated rather than reused. A virtual option's ID is
+     * derived from its index.
+     */
+    const findOption = (option) => {
+      if (undefined === option) {
+        return undefined;
+      }
+
+      const index = this.virtual
+        ? Number(option.getAttribute('aria-posinset')) - 1
+        : this.options.findIndex((listItem) => listItem.id === option.id);
+
+      return this.isEnabledIndex(index) ? this.getOption(index) : undefined;
+    };
+
+    const newState = {
+      activeDescendant: findOption(activeDescendant) || this.firstOption,
+    };
+
+    if (this.multiselectable) {
+      newState.selected = selected.map(findOption).filter(
+        (listItem) => undefined !== listItem
+      );
+    }
+
+    this.setState(newState);
+
+    if (this.virtual) {
+      // Render the recreated options.
+      this.renderedIndexes = '';
+      this.renderOptions();
+    }
+
+    const selection = this.getSelectedOptions();
+    const selectionChanged = (
+      selection.length !== previousSelection.length
+      || selection.some((option, index) => option !== previousSelection[index])
+    );
+
+    if (
+      selectionChanged
+      && ! this.standalone
+      && ! this.popup.getState().expanded
+    ) {
+      this.controller.textContent = this.getSelectionText();
+    }
+  }
+
+  /**
+   * Collect the Listbox options, setting up option groups along the way.
+   *
+   * A list item containing a nested list is treated as an option group, with
+   * the list item's first other child element, if any, as the group's label.
+   *
+   * @return {array} The options, in DOM order.
+   */
+  collectOptions() {
+    return Array.prototype.reduce.call(
+      this.target.children,
+      (acc, listItem) => {
+        const children = Array.from(listItem.children);
+        const group = children.find((child) => 'UL' === child.nodeName);
+
+        if (undefined === group) {
+          return [...acc, listItem];
+        }
+
+        // Remove list item semantics from the group's container.
+        listItem.setAttribute('role', 'presentation');
+        group.setAttribute('role', 'group');
+
+        // Label the group, if it has a label.
+        const label = children.find((child) => group !== child);
+        if (undefined !== label) {
+          setUniqueId(label);
+          group.setAttribute('aria-labelledby', label.id);
+        }
+
+        this.groups.push(group);
+
+        return [...acc, ...Array.from(group.children)];
+      },
+      []
+    );
+  }
+
+  /**
+   * Create the option for a `data` item, for rendering virtually.
+   *
+   * Option IDs are derived from the target's ID and the option's index, so
+   * the active descendant can be referenced before the option is rendered.
+   *
+   * @param {number} index The `data` item's index.
+   * @return {HTMLLIElement}
+   */
+  createOption(index) {
+    const {
+      label,
+      value,
+      disabled,
+    } = this.constructor.getItemData(this.data[index]);
+    const listItem = document.createElement('li');
+
+    listItem.textContent = label;
+    listItem.setAttribute('id', `${this.target.id}-option-${index}`);
+    listItem.setAttribute('role', 'option');
+
+    // Announce the option's position, since most options aren't rendered.
+    listItem.setAttribute('aria-setsize', this.data.length);
+    listItem.setAttribute('aria-posinset', index + 1);
+
+    if (undefined !== value) {
+      listItem.setAttribute('data-value', value);
+    }
+
+    if (disabled) {
+      listItem.setAttribute('aria-disabled', 'true');
+      this.disabledOptions.push(listItem);
+    } else {
+      this.enabledOptions.push(listItem);
+    }
+
+    // A newly-created option can't yet be selected.
+    if (this.multiselectable) {
+      listItem.setAttribute('aria-selected', 'false');
+    }
+
+    return listItem;
+  }
+
+  /**
+   * Get the option at the given index, creating it first when rendering
+   * virtually.
+   *
+   * @param {number} index The zero-based option index.
+   * @return {HTMLLIElement|undefined} The option, if the index is in range.
+   */
+  getOption(index) {
+    if (
+      this.virtual
+      && undefined === this.options[index]
+      && 0 <= index
+      && this.options.length > index
+    ) {
+      this.options[index] = this.createOption(index);
+    }
+
+    return this.options[index];
+  }
+
+  /**
+   * Get an option's index.
+   *
+   * @param {HTMLElement} option The option.
+   * @return {number} The option's index, or -1 if it isn't a current option.
+   */
+  getOptionIndex(option) {
+    if (! this.virtual) {
+      return this.options.indexOf(option);
+    }
+
+    if (undefined === option || null === option) {
+      return -1;
+    }
+
+    // Virtual options announce their position, which is used as the index.
+    const index = Number(option.getAttribute('aria-posinset')) - 1;
+
+    return (option === this.options[index]) ? index : -1;
+  }
+
+  /**
+   * Whether the index is that of an option which can be selected.
+   *
+   * @param {number} index The zero-based option index.
+   * @return {boolean}
+   */
+  isEnabledIndex(index) {
+    return (
+      0 <= index
+      && this.options.length > index
+      && ! this.disabledIndexes.has(index)
+    );
+  }
+
+  /**
+   * Whether the option can be selected.
+   *
+   * @param {HTMLElement} option The option.
+   * @return {boolean}
+   */
+  isEnabledOption(option) {
+    return this.isEnabledIndex(this.getOptionIndex(option));
+  }
+
+  /**
+   * Get the enabled options between two indexes, inclusive, creating them
+   * first when rendering virtually.
+   *
+   * @param {number} start The zero-based index of the first option.
+   * @param {number} end   The zero-based index of the last option.
+   * @return {array}
+   */
+  getEnabledOptionsBetween(start, end) {
+    const options = [];
+
+    for (let index = start; index <= end; index += 1) {
+      if (this.isEnabledIndex(index)) {
+        options.push(this.getOption(index));
+      }
+    }
+
+    return options;
+  }
+
+  /**
+   * Render the options within view, along with the active option, separated
+   * by spacers standing in for the options that aren't rendered.
+   */
+  renderOptions() {
+    const { activeDescendant } = this.state;
+    const { scrollTop, clientHeight } = this.target;
+    const { length } = this.options;
+
+    const start = Math.max(
+      0,
+      Math.floor(scrollTop / this.optionHeight) - this.overscan
+    );
+    const end = Math.min(
+      length,
+      Math.ceil((scrollTop + clientHeight) / this.optionHeight) + this.overscan
+    );
 
     /*
-     * Set the `option` role for each list itme and ensure each has a unique ID.
-     * The ID here is what will be used to track the active descendant.
+     * Always render the active option so `aria-activedescendant` references
+     * an element in the DOM, even once it's scrolled out of view.
      */
-    this.options.forEach((listItem) => {
-      setUniqueId(listItem);
-      listItem.setAttribute('role', 'option');
-    });
+    const activeIndex = this.getOptionIndex(activeDescendant);
+    const indexes = Array.from(
+      { length: end - start },
+      (item, index) => start + index
+    );
+    if (-1 !== activeIndex && ! indexes.includes(activeIndex)) {
+      indexes.push(activeIndex);
+      indexes.sort((first, second) => first - second);
+    }
 
-    // Save first and last option as properties.
-    const [firstOption, lastOption] = getFirstAndLastItems(this.options);
-    Object.assign(this, { firstOption, lastOption });
+    if (indexes.join() === this.renderedIndexes) {
+      return;
+    }
 
-    /**
-     * The initial default state.
-     *
-     * The element is saved, rather than just its ID attribute, to remove the
-     * need to query the DOM for it each time we need to act on it.
-     *
-     * @type {HTMLElement}
-     */
-    this.state = { activeDescendant: this.firstOption };
+    const fragment = document.createDocumentFragment();
 
     /**
-     * The Listbox is basically a Popup to present a list of options, so we
-     * instantiate a Popup and subscribe to state changes to act on the Listbox
-     * when the Popup is shown and hidden.
+     * Add a spacer the height of the given number of options.
      *
-     * @type {Popup}
-     */
-    this.popup = new Popup({
-      controller: this.controller,
-      target: this.target,
-      type: 'listbox',
-      onStateChange: this.onPopupStateChange,
-    });
-
-    /*
-     * Add the 'listbox' role to signify a component that presents a listbox of
-     * options from which to select.
+     * @param {number} count The number of options not rendered.
      */
-    this.target.setAttribute('role', 'listbox');
+    const addSpacer = (count) => {
+      if (0 < count) {
+        const spacer = document.createElement('li');
+        spacer.setAttribute('role', 'presentation');
+        spacer.style.height = `${count * this.optionHeight}px`;
+        fragment.appendChild(spacer);
+      }
+    };
 
-    /*
-     * Set up the target element to allow programatically setting focus to it
-     * when the Listbox opens.
-     *
-     * @see this.stateWasUpdated()
-     */
-    this.target.setAttribute('tabindex', '-1');
+    const lastIndex = indexes.reduce((previous, index) => {
+      addSpacer(index - previous - 1);
+      fragment.appendChild(this.getOption(index));
 
-    // Add event listeners.
-    this.controller.addEventListener('keydown', this.handleControllerKeyup);
-    this.target.addEventListener('keydown', this.handleTargetKeydown);
-    this.target.addEventListener('click', this.handleTargetClicks);
-    this.target.addEventListener('blur', this.handleTargetBlur);
+      return index;
+    }, -1);
+    addSpacer(length - lastIndex - 1);
 
-    // Prevent scrolling when using UP/DOWN arrows on the button
-    window.addEventListener('keydown', this.preventWindowScroll);
+    this.target.textContent = '';
+    this.target.appendChild(fragment);
+    this.renderedIndexes = indexes.join();
+  }
 
-    // Run {initCallback}
-    this.onInit.call(this);
+  /**
+   * Render the options scrolled into view.
+   */
+  handleTargetScroll() {
+    this.renderOptions();
   }
 
   /**
@@ -183,24 +959,78 @@ export default class ListBox extends AriaComponent {
    * @param {HTMLElement} state.activeDescendant The expected `activeDescendant` state.
    */
   stateWasUpdated() {
-    const { activeDescendant, expanded } = this.state;
+    this.updateAttributes();
 
-    if (expanded) {
-      /*
-       * Remove the `aria-selected` attribute from the previously-selected option
-       * and add it to the newly-selected option.
-       */
-      const selected = this.target.querySelector('[aria-selected="true"]');
-      if (null !== selected) {
-        selected.removeAttribute('aria-selected');
-      }
-      activeDescendant.setAttribute('aria-selected', 'true');
+    /*
+     * As with a native select, a single-select Listbox only commits its value
+     * when the Popup is closed, rather than as the active option changes.
+     */
+    if (! this.multiselectable && this.state.expanded) {
+      // Run {stateChangeCallback}
+      this.onStateChange.call(this, this.state);
 
+      return;
+    }
+
+    this.writePersistedState({
+      selected: this.getSelectedOptions().map(this.constructor.getOptionValue),
+    });
+
+    if (null !== this.nativeSelect) {
+      this.updateNativeSelect();
+    }
+
+    if ('' !== this.name && this.updateFormValue()) {
+      // Announce the new value, as a native select would.
+      ['input', 'change'].forEach((type) => {
+        this.target.dispatchEvent(new Event(type, { bubbles: true }));
+      });
+    }
+
+    // Run {stateChangeCallback}
+    this.onStateChange.call(this, this.state);
+  }
+
+  /**
+   * Update option and target attributes to reflect the active and selected
+   * options.
+   */
+  updateAttributes() {
+    const { activeDescendant, expanded, selected } = this.state;
+
+    if (this.multiselectable) {
       /*
-       * Track the newly selected option via the `aria-activedescendant` attribute
-       * on the target.
+       * Selection is independent of the active descendant, so every option's
+       * `aria-selected` attribute reflects whether it is in the selection.
        */
-      this.target.setAttribute('aria-activedescendant', activeDescendant.id);
+      this.options.forEach((listItem) => {
+        const isSelected = selected.includes(listItem);
+
+        listItem.setAttribute('aria-selected', `${isSelected}`);
+        listItem.removeAttribute('data-active');
+      });
+    }
+
+    if ((expanded || this.standalone) && undefined === activeDescendant) {
+      // Every option was removed, so there's no option to track.
+      this.target.removeAttribute('aria-activedescendant');
+    } else if (expanded || this.standalone) {
+      if (this.multiselectable) {
+        /*
+         * Since `aria-selected` no longer marks the active option, use a data
+         * attribute to allow for styling it.
+         */
+        activeDescendant.setAttribute('data-active', 'true');
+
+        // Track the active option via the target's `aria-activedescendant`.
+        this.target.setAttribute('aria-activedescendant', activeDescendant.id);
+      } else {
+        /*
+         * Track the newly selected option via the `aria-activedescendant`
+         * attribute on the target, which also marks it as selected.
+         */
+        setActiveDescendant(this.target, this.options, activeDescendant);
+      }
 
       /*
        * If the selected option is beyond the bounds of the list, scroll it into
@@ -209,9 +1039,144 @@ export default class ListBox extends AriaComponent {
        */
       this.scrollOptionIntoView(activeDescendant);
     }
+  }
 
-    // Run {stateChangeCallback}
-    this.onStateChange.call(this, this.state);
+  /**
+   * Keep the hidden inputs in sync with the selected options.
+   *
+   * @return {boolean} Whether the submitted value changed.
+   */
+  updateFormValue() {
+    const values = this.getSelectedOptions().map(
+      this.constructor.getOptionValue
+    );
+
+    const changed = (
+      values.length !== this.values.length
+      || values.some((value, index) => value !== this.values[index])
+    );
+
+    // Replace the previous inputs with one per selected option.
+    this.inputs.forEach((input) => input.remove());
+    this.inputs = values.map((value) => {
+      const input = document.createElement('input');
+      input.setAttribute('type', 'hidden');
+      input.setAttribute('name', this.name);
+      input.value = value;
+
+      return input;
+    });
+
+    const { nextSibling } = this.target;
+    this.inputs.forEach((input) => {
+      this.target.parentNode.insertBefore(input, nextSibling);
+    });
+
+    this.values = values;
+
+    return changed;
+  }
+
+  /**
+   * Restore the initial selection when the form is reset.
+   */
+  handleFormReset() {
+    // The initial value isn't a change, so don't announce it.
+    this.values = this.initialValues;
+
+    this.setState(this.initialState);
+
+    if (! this.standalone) {
+      this.controller.textContent = this.getSelectionText();
+    }
+  }
+
+  /**
+   * Get the state matching the native select's selection.
+   *
+   * @return {object}
+   */
+  getNativeSelectState() {
+    /*
+     * Match options by value rather than index, since the options may have
+     * been refreshed since the Listbox was created.
+     */
+    const values = Array.prototype.filter.call(
+      this.nativeSelect.options,
+      (option) => option.selected
+    ).map((option) => option.value);
+    const matches = (listItem) => (
+      values.includes(this.constructor.getOptionValue(listItem))
+    );
+
+    if (this.multiselectable) {
+      return { selected: this.options.filter(matches) };
+    }
+
+    return {
+      activeDescendant: this.options.find(matches) || this.firstOption,
+    };
+  }
+
+  /**
+   * Select the native select's options matching the Listbox selection.
+   */
+  updateNativeSelect() {
+    const { options } = this.nativeSelect;
+    const values = this.getSelectedOptions().map(
+      this.constructor.getOptionValue
+    );
+    let changed = false;
+
+    // Match options by value, in case the options no longer line up.
+    Array.prototype.forEach.call(options, (option, index) => {
+      const isSelected = values.includes(option.value);
+
+      if (isSelected !== option.selected) {
+        options[index].selected = isSelected;
+        changed = true;
+      }
+    });
+
+    if (changed) {
+      // Announce the new value, as the native select would.
+      ['input', 'change'].forEach((type) => {
+        this.nativeSelect.dispatchEvent(new Event(type, { bubbles: true }));
+      });
+    }
+  }
+
+  /**
+   * Update the Listbox when the native select's selection changes.
+   */
+  handleNativeSelectChange() {
+    const state = this.getNativeSelectState();
+    const current = this.getSelectedOptions();
+    const next = this.multiselectable
+      ? state.selected
+      : [state.activeDescendant];
+
+    // Ignore changes made by the Listbox itself.
+    if (
+      next.length === current.length
+      && next.every((option, index) => option === current[index])
+    ) {
+      return;
+    }
+
+    this.setState(state);
+
+    if (! this.popup.getState().expanded) {
+      this.controller.textContent = this.getSelectionText();
+    }
+  }
+
+  /**
+   * Update the Listbox once the form has reset the native select.
+   */
+  handleNativeSelectReset() {
+    // Form controls are reset after the `reset` event is dispatched.
+    setTimeout(this.handleNativeSelectChange);
   }
 
   /**
@@ -232,6 +1197,9 @@ export default class ListBox extends AriaComponent {
        * option.
        */
       this.target.focus();
+
+      // Save the selected option so the Escape key can restore it.
+      this.committedOption = activeDescendant;
     } else {
       /*
        * When the Popup is hidden, the `aria-activedescendant` attribute should
@@ -239,7 +1207,7 @@ export default class ListBox extends AriaComponent {
        * button text.
        */
       this.target.removeAttribute('aria-activedescendant');
-      this.controller.textContent = activeDescendant.textContent;
+      this.controller.textContent = this.getSelectionText();
 
       /*
        * If focus is within the Listbox, move focus to the controller. This
@@ -292,7 +1260,12 @@ export default class ListBox extends AriaComponent {
    */
   handleTargetKeydown(event) {
     const { activeDescendant } = this.state;
-    const { keyCode } = event;
+    const {
+      keyCode,
+      shiftKey,
+      ctrlKey,
+      metaKey,
+    } = event;
     const {
       RETURN,
       ESC,
@@ -303,6 +1276,28 @@ export default class ListBox extends AriaComponent {
       END,
     } = keyCodes;
 
+    // Select or deselect all options with Ctrl+A.
+    if (
+      this.multiselectable
+      && (ctrlKey || metaKey)
+      && 'A' === String.fromCharCode(keyCode)
+    ) {
+      event.preventDefault();
+
+      const lastIndex = this.options.length - 1;
+      const enabledCount = this.options.length - this.disabledIndexes.size;
+
+      if (this.state.selected.length === enabledCount) {
+        this.clear();
+      } else {
+        this.setState({
+          selected: this.getEnabledOptionsBetween(0, lastIndex),
+        });
+      }
+
+      return;
+    }
+
     switch (keyCode) {
       /*
        * Close the Listbox when the Return, Escape, or Spacebar are pressed. No
@@ -313,6 +1308,32 @@ export default class ListBox extends AriaComponent {
       case RETURN:
       case SPACE: {
         event.preventDefault();
+
+        /*
+         * Toggle the active option's selected state with the Spacebar when
+         * more than one option can be selected.
+         */
+        if (this.multiselectable && SPACE === keyCode) {
+          this.selectionAnchor = activeDescendant;
+          this.toggleSelected(activeDescendant);
+
+          break;
+        }
+
+        // There's nothing to close when the Listbox is always visible.
+        if (this.standalone) {
+          break;
+        }
+
+        // Discard the active option when the Listbox is closed with Escape.
+        if (
+          ESC === keyCode
+          && ! this.multiselectable
+          && this.isEnabledOption(this.committedOption)
+        ) {
+          this.setState({ activeDescendant: this.committedOption });
+        }
+
         this.hide();
 
         // Move focus to the controller when the Listbox is closed.
@@ -322,19 +1343,25 @@ export default class ListBox extends AriaComponent {
       }
 
       /*
-       * Select the next or previous Listbox option.
+       * Select the next or previous Listbox option, skipping disabled options.
        */
       case UP:
       case DOWN: {
-        let moveTo = activeDescendant;
-
-        moveTo = (keyCode === UP)
-          ? moveTo.previousElementSibling
-          : moveTo.nextElementSibling;
+        const moveTo = this.getOption(this.getNextEnabledIndex(
+          this.getOptionIndex(activeDescendant),
+          (keyCode === UP) ? -1 : 1
+        ));
 
         if (moveTo) {
           event.preventDefault();
-          this.setState({ activeDescendant: moveTo });
+
+          if (this.multiselectable && shiftKey) {
+            // Extend or shrink the selected range with Shift+Arrow.
+            this.selectRange(moveTo);
+          } else {
+            this.selectionAnchor = moveTo;
+            this.setState({ activeDescendant: moveTo });
+          }
         }
 
         break;
@@ -367,7 +1394,11 @@ export default class ListBox extends AriaComponent {
       default: {
         const itemToFocus = this.search.getItem(keyCode);
         if (null !== itemToFocus) {
-          this.setState({ activeDescendant: itemToFocus });
+          this.setState({
+            activeDescendant: this.virtual
+              ? this.getOption(itemToFocus.index)
+              : itemToFocus,
+          });
         }
 
         break;
@@ -375,6 +1406,25 @@ export default class ListBox extends AriaComponent {
     }
   }
 
+  /**
+   * Get the index of the next enabled option before or after the given index.
+   *
+   * @param {number} index The index from which to search.
+   * @param {number} step  -1 to search backward, or 1 to search forward.
+   * @return {number} The option's index, or -1 if there isn't one.
+   */
+  getNextEnabledIndex(index, step) {
+    let nextIndex = index + step;
+
+    while (this.disabledIndexes.has(nextIndex)) {
+      nextIndex += step;
+    }
+
+    return (0 <= nextIndex && this.options.length > nextIndex)
+      ? nextIndex
+      : -1;
+  }
+
   /**
    * Close the Listbox, but not before updating state to reflect the option that
    * was clicked.
@@ -382,8 +1432,27 @@ export default class ListBox extends AriaComponent {
    * @param {Event} event The event object.
    */
   handleTargetClicks(event) {
-    this.setState({ activeDescendant: event.target });
-    this.hide();
+    const option = event.target.closest('[role="option"]');
+
+    // Ignore clicks on group labels and disabled options.
+    if (! this.isEnabledOption(option)) {
+      return;
+    }
+
+    // Keep the Listbox open when more than one option can be selected.
+    if (this.multiselectable) {
+      this.selectionAnchor = option;
+      this.setState({ activeDescendant: option });
+      this.toggleSelected(option);
+
+      return;
+    }
+
+    this.setState({ activeDescendant: option });
+
+    if (! this.standalone) {
+      this.hide();
+    }
   }
 
   /**
@@ -396,6 +1465,172 @@ export default class ListBox extends AriaComponent {
     }
   }
 
+  /**
+   * Get the selected option(s).
+   *
+   * @return {array}
+   */
+  getSelectedOptions() {
+    const { activeDescendant, selected } = this.state;
+
+    if (this.multiselectable) {
+      return selected;
+    }
+
+    // There's no selection once every option is removed.
+    return (undefined === activeDescendant) ? [] : [activeDescendant];
+  }
+
+  /**
+   * Get the selection matching the persisted option values, ignoring values
+   * which no longer match an enabled option.
+   *
+   * @return {object|null} The selection state, or null if there is none.
+   */
+  getPersistedSelection() {
+    const persisted = this.readPersistedState();
+
+    if (null === persisted || ! Array.isArray(persisted.selected)) {
+      return null;
+    }
+
+    /**
+     * Get an option's value, using its `data` item when rendering virtually so
+     * only the matching options are created.
+     *
+     * @param {number} index The zero-based option index.
+     * @return {string}
+     */
+    const getValue = (index) => {
+      if (! this.virtual) {
+        return this.constructor.getOptionValue(this.options[index]);
+      }
+
+      const { label, value } = this.constructor.getItemData(this.data[index]);
+
+      return (undefined !== value) ? `${value}` : label;
+    };
+
+    const selected = Array.from(this.options.keys())
+      .filter((index) => (
+        this.isEnabledIndex(index)
+        && persisted.selected.includes(getValue(index))
+      ))
+      .map(this.getOption);
+
+    if (this.multiselectable) {
+      return { selected };
+    }
+
+    return (0 < selected.length) ? { activeDescendant: selected[0] } : null;
+  }
+
+  /**
+   * Get the text representing the selected option(s).
+   *
+   * @return {string}
+   */
+  getSelectionText() {
+    const { activeDescendant, selected } = this.state;
+
+    if (! this.multiselectable) {
+      return (undefined === activeDescendant)
+        ? this.controllerText
+        : activeDescendant.textContent;
+    }
+
+    if (0 === selected.length) {
+      return this.controllerText;
+    }
+
+    return selected.map((option) => option.textContent).join(', ');
+  }
+
+  /**
+   * Add an option to the selection. Selects the option outright when only one
+   * option can be selected.
+   *
+   * @param {HTMLElement} option The option to select.
+   */
+  select(option) {
+    if (! this.isEnabledOption(option)) {
+      return;
+    }
+
+    if (! this.multiselectable) {
+      this.setState({ activeDescendant: option });
+    } else if (! this.state.selected.includes(option)) {
+      // Keep the selection in DOM order.
+      const selected = this.options.filter((listItem) => (
+        listItem === option || this.state.selected.includes(listItem)
+      ));
+
+      this.setState({ selected });
+    }
+  }
+
+  /**
+   * Remove an option from the selection.
+   *
+   * @param {HTMLElement} option The option to deselect.
+   */
+  deselect(option) {
+    if (this.multiselectable) {
+      const { selected } = this.state;
+
+      this.setState({
+        selected: selected.filter((listItem) => listItem !== option),
+      });
+    }
+  }
+
+  /**
+   * Toggle an option's selected state.
+   *
+   * @param {HTMLElement} option The option to toggle.
+   */
+  toggleSelected(option) {
+    if (this.multiselectable && this.state.selected.includes(option)) {
+      this.deselect(option);
+    } else {
+      this.select(option);
+    }
+  }
+
+  /**
+   * Select the options from the selection anchor to the given option, and make
+   * the given option active. The active option is used as the anchor if there
+   * isn't one.
+   *
+   * @param {HTMLElement} option The option ending the range.
+   */
+  selectRange(option) {
+    if (! this.isEnabledOption(this.selectionAnchor)) {
+      this.selectionAnchor = this.state.activeDescendant;
+    }
+
+    const anchorIndex = this.getOptionIndex(this.selectionAnchor);
+    const optionIndex = this.getOptionIndex(option);
+
+    this.setState({
+      activeDescendant: option,
+      selected: this.getEnabledOptionsBetween(
+        Math.min(anchorIndex, optionIndex),
+        Math.max(anchorIndex, optionIndex)
+      ),
+    });
+  }
+
+  /**
+   * Deselect all options.
+   */
+  clear() {
+    if (this.multiselectable) {
+      this.selectionAnchor = null;
+      this.setState({ selected: [] });
+    }
+  }
+
   /**
    * If the Listbox is scrollable, and the selected option is not visible,
    * scroll it into view.
@@ -403,19 +1638,24 @@ export default class ListBox extends AriaComponent {
    * @param {HTMLElement} moveTo The element getting focus.
    */
   scrollOptionIntoView(moveTo) {
-    const { scrollHeight, clientHeight, scrollTop } = this.target;
-    const { offsetTop, offsetHeight } = moveTo;
+    if (! this.virtual) {
+      scrollIntoView(this.target, moveTo);
 
-    if (scrollHeight > clientHeight) {
-      const scrollBottom = clientHeight + scrollTop;
-      const elementBottom = offsetTop + offsetHeight;
+      return;
+    }
 
-      if (elementBottom > scrollBottom) {
-        this.target.scrollTop = elementBottom - clientHeight;
-      } else if (offsetTop < scrollTop) {
-        this.target.scrollTop = offsetTop;
-      }
+    // Options may not be rendered, so use their position in the list.
+    const { scrollTop, clientHeight } = this.target;
+    const top = this.getOptionIndex(moveTo) * this.optionHeight;
+    const bottom = top + this.optionHeight;
+
+    if (top < scrollTop) {
+      this.target.scrollTop = top;
+    } else if (bottom > (scrollTop + clientHeight)) {
+      this.target.scrollTop = bottom - clientHeight;
     }
+
+    this.renderOptions();
   }
 
   /**
@@ -425,10 +1665,20 @@ export default class ListBox extends AriaComponent {
     // Remove the references to the class instance.
     this.deleteSelfReferences();
 
+    // Stop observing the target.
+    if (null !== this.observer) {
+      this.observer.disconnect();
+    }
+
     // Remove the role attribute from each of the options.
     this.options.forEach((listItem) => {
       listItem.removeAttribute('role');
       listItem.removeAttribute('aria-selected');
+      listItem.removeAttribute('data-active');
+
+      if (this.markedDisabledOptions.includes(listItem)) {
+        listItem.removeAttribute('aria-disabled');
+      }
 
       // Remove IDs set by this class.
       if (listItem.getAttribute('id').includes('id_')) {
@@ -436,21 +1686,80 @@ export default class ListBox extends AriaComponent {
       }
     });
 
+    // Remove option group attributes.
+    this.groups.forEach((group) => {
+      const labelId = group.getAttribute('aria-labelledby');
+
+      group.parentElement.removeAttribute('role');
+      group.removeAttribute('role');
+      group.removeAttribute('aria-labelledby');
+
+      if (null !== labelId && labelId.includes('id_')) {
+        document.getElementById(labelId).removeAttribute('id');
+      }
+    });
+
     // Destroy the Popup.
-    this.popup.destroy();
+    if (! this.standalone) {
+      this.popup.destroy();
+      this.controller.removeEventListener(
+        'keydown',
+        this.handleControllerKeyup
+      );
+      this.target.removeEventListener('blur', this.handleTargetBlur);
+    }
 
     // Remove the listbox role.
     this.target.removeAttribute('role');
     this.target.removeAttribute('tabindex');
     this.target.removeAttribute('aria-activedescendant');
+    this.target.removeAttribute('aria-multiselectable');
 
     // Remove event listeners.
-    this.controller.removeEventListener('keyup', this.handleControllerKeyup);
     this.target.removeEventListener('keydown', this.handleTargetKeydown);
     this.target.removeEventListener('click', this.handleTargetClicks);
-    this.target.removeEventListener('blur', this.handleTargetBlur);
+
+    // Remove the rendered options.
+    if (this.virtual) {
+      this.target.textContent = '';
+      this.target.removeEventListener('scroll', this.handleTargetScroll);
+
+      if (this.target.id.includes('id_')) {
+        this.target.removeAttribute('id');
+      }
+    }
     window.removeEventListener('keydown', this.preventWindowScroll);
 
+    // Remove form integration.
+    this.inputs.forEach((input) => input.remove());
+    if (null !== this.form) {
+      this.form.removeEventListener('reset', this.handleFormReset);
+    }
+
+    // Remove the generated markup and restore the native select.
+    if (null !== this.nativeSelect) {
+      const { form, labels } = this.nativeSelect;
+
+      this.controller.remove();
+      this.target.remove();
+
+      this.nativeSelect.removeAttribute('hidden');
+      this.nativeSelect.removeEventListener(
+        'change',
+        this.handleNativeSelectChange
+      );
+
+      if (null !== form) {
+        form.removeEventListener('reset', this.handleNativeSelectReset);
+      }
+
+      Array.from(labels || []).forEach((label) => {
+        if (label.id.includes('id_')) {
+          label.removeAttribute('id');
+        }
+      });
+    }
+
     // Run {destroyCallback}
     this.onDestroy.call(this);
   }
@@ -459,13 +1768,17 @@ export default class ListBox extends AriaComponent {
    * Show the Listbox.
    */
   show() {
-    this.popup.show();
+    if (! this.standalone) {
+      this.popup.show();
+    }
   }
 
   /**
    * Hide the Listbox.
    */
   hide() {
-    this.popup.hide();
+    if (! this.standalone) {
+      this.popup.hide();
+    }
   }
 }
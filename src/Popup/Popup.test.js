@@ -213,3 +213,48 @@ describe('Popup destroy', () => {
     expect(document.body.innerHTML).toEqual(popupMarkup);
   });
 });
+
+describe('Popup with a transition', () => {
+  let transitionPopup;
+
+  beforeAll(() => {
+    transitionPopup = new Popup({
+      controller,
+      target,
+      transition: 'slide',
+    });
+  });
+
+  it('Should wait for the transition to end before hiding the target', () => {
+    controller.dispatchEvent(click);
+
+    expect(transitionPopup.getState()).toEqual({ expanded: true, opening: true, closing: false });
+    expect(target.classList.contains('slide-enter-active')).toBeTruthy();
+
+    target.dispatchEvent(new Event('animationend'));
+    expect(transitionPopup.getState().opening).toBeFalsy();
+
+    controller.dispatchEvent(click);
+
+    expect(transitionPopup.getState()).toEqual({ expanded: false, opening: false, closing: true });
+    expect(target.getAttribute('hidden')).toBeNull();
+
+    // Ignore events bubbled from child elements.
+    domFirstChild.dispatchEvent(new Event('transitionend', { bubbles: true }));
+    expect(transitionPopup.getState().closing).toBeTruthy();
+
+    target.dispatchEvent(new Event('transitionend'));
+
+    expect(transitionPopup.getState().closing).toBeFalsy();
+    expect(target.getAttribute('hidden')).toEqual('');
+    expect(target.className).toEqual('wrapper');
+  });
+
+  it('Should stop the transition when destroyed', () => {
+    transitionPopup.show();
+    transitionPopup.destroy();
+
+    expect(transitionPopup.getState()).toEqual({ expanded: false, opening: false, closing: false });
+    expect(document.body.innerHTML).toEqual(popupMarkup);
+  });
+});
@@ -4,6 +4,11 @@ import interactiveChildren from '../lib/interactiveChildren';
 import { tabIndexDeny, tabIndexAllow } from '../lib/rovingTabIndex';
 import { setUniqueId } from '../lib/uniqueId';
 import getFirstAndLastItems from '../lib/getFirstAndLastItems';
+import {
+  stopTransition,
+  getExpandedState,
+  setExpandedState,
+} from '../lib/transition';
 
 /**
  * Class for setting up an interactive popup element that can be triggered by a
@@ -54,6 +59,21 @@ export default class Popup extends AriaComponent {
        */
       type: 'true', // 'true' === 'menu' in UAs that don't support WAI-ARIA 1.1
 
+      /**
+       * The prefix for the classes applied while the target is showing or
+       * hiding. Hiding the target is delayed until the transition ends.
+       *
+       * @type {string}
+       */
+      transition: '',
+
+      /**
+       * The maximum transition duration, in milliseconds.
+       *
+       * @type {number}
+       */
+      transitionTimeout: 1000,
+
       /**
        * Callback to run after the component initializes.
        *
@@ -80,7 +100,14 @@ export default class Popup extends AriaComponent {
     Object.assign(this, options, config);
 
     // Intial component state.
-    this.state = { expanded: false };
+    this.state = this.getInitialState();
+
+    /**
+     * Cancel the running transition, if any.
+     *
+     * @type {function}
+     */
+    this.cancelTransition = null;
 
     // Bind class methods.
     this.init = this.init.bind(this);
@@ -92,6 +119,8 @@ export default class Popup extends AriaComponent {
     this.targetKeyDownHandler = this.targetKeyDownHandler.bind(this);
     this.hideOnTabOut = this.hideOnTabOut.bind(this);
     this.hideOnOutsideClick = this.hideOnOutsideClick.bind(this);
+    this.getInitialState = this.getInitialState.bind(this);
+    this.setExpandedState = this.setExpandedState.bind(this);
     this.destroy = this.destroy.bind(this);
 
     /**
@@ -191,10 +220,13 @@ export default class Popup extends AriaComponent {
   /**
    * Update the component attributes based on updated state.
    *
-   * @param {object} state The component state.
+   * @param {object}  state          The component state.
+   * @param {boolean} state.expanded The expected `expanded` state.
+   * @param {boolean} state.opening  Whether the target is transitioning open.
+   * @param {boolean} state.closing  Whether the target is transitioning closed.
    */
   stateWasUpdated() {
-    const { expanded } = this.state;
+    const { expanded, closing } = this.state;
 
     this.controller.setAttribute('aria-expanded', `${expanded}`);
 
@@ -208,7 +240,11 @@ export default class Popup extends AriaComponent {
       tabIndexAllow(this.interactiveChildElements);
     } else {
       this.target.setAttribute('aria-hidden', 'true');
-      this.target.setAttribute('hidden', '');
+
+      // Wait for the target to finish closing before hiding it.
+      if (! closing) {
+        this.target.setAttribute('hidden', '');
+      }
 
       // Focusable content should have tabindex='-1' or be removed from the DOM.
       tabIndexDeny(this.interactiveChildElements);
@@ -317,7 +353,7 @@ export default class Popup extends AriaComponent {
     event.preventDefault();
     const { expanded } = this.state;
 
-    this.setState({ expanded: ! expanded });
+    this.setExpandedState(! expanded);
   }
 
   /**
@@ -381,6 +417,9 @@ export default class Popup extends AriaComponent {
       this.controller.removeAttribute('tabindex');
     }
 
+    // Stop the running transition.
+    stopTransition(this);
+
     // Remove target attributes.
     this.target.removeAttribute('aria-hidden');
     this.target.removeAttribute('hidden');
@@ -398,23 +437,43 @@ export default class Popup extends AriaComponent {
     document.body.removeEventListener('click', this.hideOnOutsideClick);
 
     // Reset initial state.
-    this.state = { expanded: false };
+    this.state = this.getInitialState();
 
     // Run {destroyCallback}
     this.onDestroy.call(this);
   }
 
+  /**
+   * Get the component's initial state, which tracks the opening and closing
+   * states if the Popup transitions.
+   *
+   * @return {object}
+   */
+  getInitialState() {
+    return getExpandedState(this, false);
+  }
+
+  /**
+   * Update the expanded state, running the enter or leave transition unless
+   * the user prefers reduced motion.
+   *
+   * @param {boolean} expanded The expected `expanded` state.
+   */
+  setExpandedState(expanded) {
+    setExpandedState(this, expanded);
+  }
+
   /**
    * Update component state to show the target element.
    */
   show() {
-    this.setState({ expanded: true });
+    this.setExpandedState(true);
   }
 
   /**
    * Update component state to hide the target element.
    */
   hide() {
-    this.setState({ expanded: false });
+    this.setExpandedState(false);
   }
 }
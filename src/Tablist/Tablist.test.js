@@ -1,6 +1,6 @@
 /* eslint-disable max-len */
 import { Tablist } from 'root';
-import { events } from '../lib/events';
+import { events, flushPromises } from '../lib/events';
 
 const {
   click,
@@ -8,9 +8,13 @@ const {
   keydownShiftTab,
   keydownLeft,
   keydownRight,
+  keydownUp,
   keydownDown,
   keydownHome,
   keydownEnd,
+  keydownReturn,
+  keydownSpace,
+  keydownDelete,
 } = events;
 
 const tablistMarkup = `
@@ -98,6 +102,7 @@ describe('Tablist with default configuration', () => {
     it('Should add the correct attributes and overlay element',
       () => {
         expect(tabs.getAttribute('role')).toEqual('tablist');
+        expect(tabs.getAttribute('aria-orientation')).toEqual('horizontal');
 
         // List items
         Array.from(tabs.children).forEach((child) => {
@@ -340,3 +345,818 @@ describe('Tablist with default configuration', () => {
     });
   });
 });
+
+describe('Tablist with hash syncing', () => {
+  const scrollIntoView = jest.fn();
+
+  beforeAll(() => {
+    // Clean up after the previous instance.
+    tablist.destroy();
+
+    window.history.replaceState(null, '', '#third-panel');
+    thirdPanel.scrollIntoView = scrollIntoView;
+
+    tablist = new Tablist({
+      tabs,
+      panels,
+      hashSync: true,
+      updateHash: true,
+    });
+  });
+
+  afterAll(() => {
+    window.history.replaceState(null, '', window.location.pathname);
+  });
+
+  it('Should activate the panel identified by the hash on load', () => {
+    expect(tablist.getState().activeIndex).toEqual(2);
+    expect(thirdTab.getAttribute('aria-selected')).toEqual('true');
+    expect(thirdPanel.getAttribute('hidden')).toBeNull();
+    expect(firstPanel.getAttribute('hidden')).toEqual('');
+
+    // The browser can't scroll to the panel while it's hidden.
+    expect(scrollIntoView).toHaveBeenCalled();
+    delete thirdPanel.scrollIntoView;
+  });
+
+  it('Should activate the panel containing the element identified by the hash', () => {
+    const heading = secondPanel.querySelector('h1');
+    heading.id = 'second-heading';
+    heading.scrollIntoView = jest.fn();
+    window.history.replaceState(null, '', '#second-heading');
+    window.dispatchEvent(new Event('hashchange'));
+
+    expect(tablist.getState().activeIndex).toEqual(1);
+
+    // The browser can't scroll to the element while it's hidden.
+    expect(heading.scrollIntoView).toHaveBeenCalled();
+    delete heading.scrollIntoView;
+
+    // The more specific hash is left intact.
+    expect(window.location.hash).toEqual('#second-heading');
+
+    secondPanel.querySelector('h1').removeAttribute('id');
+  });
+
+  it('Should update the hash when the active tab changes', () => {
+    tablist.switchTo(0);
+    expect(window.location.hash).toEqual('#first-panel');
+  });
+
+  it('Should ignore hashes outside of the panels', () => {
+    window.history.replaceState(null, '', '#missing');
+    window.dispatchEvent(new Event('hashchange'));
+
+    expect(tablist.getState().activeIndex).toEqual(0);
+  });
+
+  it('Should stop listening for hash changes when destroyed', () => {
+    tablist.destroy();
+
+    window.history.replaceState(null, '', '#second-panel');
+    window.dispatchEvent(new Event('hashchange'));
+
+    expect(tablist.getState().activeIndex).toEqual(0);
+  });
+});
+
+describe('Tablist with persisted state', () => {
+  const persist = { key: 'tablist' };
+
+  afterEach(() => {
+    tablist.destroy();
+    window.localStorage.clear();
+  });
+
+  it('Should persist and restore the active tab', () => {
+    tablist = new Tablist({ tabs, panels, persist });
+
+    tablist.switchTo(1);
+    expect(window.localStorage.getItem('tablist')).toEqual('{"activeIndex":1}');
+
+    tablist.destroy();
+    tablist = new Tablist({ tabs, panels, persist });
+
+    expect(tablist.getState().activeIndex).toEqual(1);
+    expect(secondTab.getAttribute('aria-selected')).toEqual('true');
+    expect(secondPanel.getAttribute('hidden')).toBeNull();
+  });
+
+  it('Should ignore tabs that no longer exist', () => {
+    window.localStorage.setItem('tablist', '{"activeIndex":3}');
+    tablist = new Tablist({ tabs, panels, persist });
+
+    expect(tablist.getState().activeIndex).toEqual(0);
+  });
+});
+
+describe('Tablist hidden until found', () => {
+  beforeAll(() => {
+    document.body.onbeforematch = null;
+    tablist = new Tablist({ tabs, panels, hiddenUntilFound: true });
+    delete document.body.onbeforematch;
+  });
+
+  afterAll(() => {
+    tablist.destroy();
+  });
+
+  it('Should hide inactive panels until found', () => {
+    expect(firstPanel.getAttribute('hidden')).toBeNull();
+    expect(secondPanel.getAttribute('hidden')).toEqual('until-found');
+    expect(thirdPanel.getAttribute('hidden')).toEqual('until-found');
+  });
+
+  it('Should activate the panel in which find-in-page matched text', () => {
+    thirdPanel.dispatchEvent(new Event('beforematch'));
+
+    expect(tablist.getState().activeIndex).toEqual(2);
+    expect(thirdTab.getAttribute('aria-selected')).toEqual('true');
+    expect(thirdPanel.getAttribute('hidden')).toBeNull();
+    expect(firstPanel.getAttribute('hidden')).toEqual('until-found');
+  });
+});
+
+describe('Tablist with vertical orientation', () => {
+  let verticalTabs;
+  let verticalTabLinks;
+  let verticalPanels;
+
+  beforeAll(() => {
+    document.body.innerHTML = tablistMarkup;
+
+    verticalTabs = document.querySelector('.tablist');
+    verticalTabLinks = Array.from(verticalTabs.querySelectorAll('a'));
+    verticalPanels = Array.from(document.querySelectorAll('.panel'));
+
+    tablist = new Tablist({
+      tabs: verticalTabs,
+      panels: verticalPanels,
+      orientation: 'vertical',
+    });
+  });
+
+  it('Should set the aria-orientation attribute', () => {
+    expect(verticalTabs.getAttribute('aria-orientation')).toEqual('vertical');
+  });
+
+  it('Should move between tabs with the up and down arrows', () => {
+    verticalTabLinks[0].focus();
+
+    verticalTabLinks[0].dispatchEvent(keydownDown);
+    expect(tablist.getState().activeIndex).toEqual(1);
+    expect(document.activeElement).toEqual(verticalTabLinks[1]);
+
+    verticalTabLinks[1].dispatchEvent(keydownUp);
+    verticalTabLinks[0].dispatchEvent(keydownUp);
+    expect(tablist.getState().activeIndex).toEqual(2);
+    expect(document.activeElement).toEqual(verticalTabLinks[2]);
+  });
+
+  it('Should not move between tabs with the left arrow', () => {
+    verticalTabLinks[2].dispatchEvent(keydownLeft);
+    expect(tablist.getState().activeIndex).toEqual(2);
+  });
+
+  it('Should focus the active panel with the right arrow', () => {
+    verticalTabLinks[2].dispatchEvent(keydownRight);
+    expect(document.activeElement).toEqual(verticalPanels[2]);
+    expect(tablist.getState().activeIndex).toEqual(2);
+  });
+
+  it('Should remove the aria-orientation attribute when destroyed', () => {
+    tablist.destroy();
+    expect(verticalTabs.getAttribute('aria-orientation')).toBeNull();
+  });
+});
+
+describe('Tablist with manual activation', () => {
+  let manualTabLinks;
+  let manualPanels;
+
+  beforeAll(() => {
+    document.body.innerHTML = tablistMarkup;
+
+    manualTabLinks = Array.from(document.querySelectorAll('.tablist a'));
+    manualPanels = Array.from(document.querySelectorAll('.panel'));
+
+    tablist = new Tablist({
+      tabs: document.querySelector('.tablist'),
+      panels: manualPanels,
+      activation: 'manual',
+    });
+  });
+
+  afterAll(() => {
+    tablist.destroy();
+  });
+
+  it('Should move focus without activating tabs', () => {
+    manualTabLinks[0].focus();
+
+    manualTabLinks[0].dispatchEvent(keydownRight);
+    expect(document.activeElement).toEqual(manualTabLinks[1]);
+    expect(tablist.getState().activeIndex).toEqual(0);
+    expect(manualPanels[1].getAttribute('hidden')).toEqual('');
+
+    // The focused tab is in the tab order.
+    expect(manualTabLinks[1].getAttribute('tabindex')).toBeNull();
+    expect(manualTabLinks[0].getAttribute('tabindex')).toEqual('-1');
+
+    manualTabLinks[1].dispatchEvent(keydownEnd);
+    expect(document.activeElement).toEqual(manualTabLinks[2]);
+    expect(tablist.getState().activeIndex).toEqual(0);
+  });
+
+  it('Should focus the active panel from the focused tab', () => {
+    manualTabLinks[2].dispatchEvent(keydownDown);
+    expect(document.activeElement).toEqual(manualPanels[0]);
+  });
+
+  it('Should return the active tab to the tab order when focus leaves the tabs', () => {
+    expect(manualTabLinks[0].getAttribute('tabindex')).toBeNull();
+    expect(manualTabLinks[2].getAttribute('tabindex')).toEqual('-1');
+  });
+
+  it('Should activate the focused tab with the Return key', () => {
+    manualTabLinks[0].focus();
+    manualTabLinks[0].dispatchEvent(keydownHome);
+    manualTabLinks[0].dispatchEvent(keydownRight);
+    manualTabLinks[1].dispatchEvent(keydownReturn);
+
+    expect(tablist.getState().activeIndex).toEqual(1);
+    expect(manualTabLinks[1].getAttribute('aria-selected')).toEqual('true');
+    expect(manualPanels[1].getAttribute('hidden')).toBeNull();
+    expect(manualPanels[0].getAttribute('hidden')).toEqual('');
+  });
+
+  it('Should activate the focused tab with the Spacebar', () => {
+    manualTabLinks[1].dispatchEvent(keydownLeft);
+    manualTabLinks[0].dispatchEvent(keydownSpace);
+
+    expect(tablist.getState().activeIndex).toEqual(0);
+    expect(manualTabLinks[0].getAttribute('tabindex')).toBeNull();
+    expect(manualTabLinks[1].getAttribute('tabindex')).toEqual('-1');
+  });
+});
+
+describe('Tablist with tabs added, removed and moved', () => {
+  let dynamicTabs;
+  let dynamicPanels;
+
+  const onRemoveTab = jest.fn();
+
+  /**
+   * Create a tab list item and panel.
+   *
+   * @param {string} id The panel ID.
+   * @return {array}
+   */
+  const createTab = (id) => {
+    const listItem = document.createElement('li');
+    listItem.innerHTML = `<a href="#${id}" class="closable">New</a>`;
+
+    const panel = document.createElement('div');
+    panel.id = id;
+    panel.innerHTML = '<p>New panel</p>';
+
+    return [listItem, panel];
+  };
+
+  beforeAll(() => {
+    document.body.innerHTML = tablistMarkup;
+
+    dynamicTabs = document.querySelector('.tablist');
+    dynamicPanels = Array.from(document.querySelectorAll('.panel'));
+
+    tablist = new Tablist({
+      tabs: dynamicTabs,
+      panels: dynamicPanels,
+      closableMatches: '.closable',
+      onRemoveTab,
+    });
+  });
+
+  afterAll(() => {
+    tablist.destroy();
+  });
+
+  it('Should add a tab and its panel', () => {
+    const [listItem, panel] = createTab('fourth-panel');
+    tablist.addTab(listItem, panel);
+
+    const newTab = listItem.querySelector('a');
+
+    expect(dynamicTabs.lastElementChild).toEqual(listItem);
+    expect(dynamicPanels[2].nextElementSibling).toEqual(panel);
+    expect(tablist.tabLinks[3]).toEqual(newTab);
+    expect(tablist.panels[3]).toEqual(panel);
+
+    expect(listItem.getAttribute('role')).toEqual('presentation');
+    expect(newTab.getAttribute('role')).toEqual('tab');
+    expect(newTab.getAttribute('tabindex')).toEqual('-1');
+    expect(newTab.getAttribute('aria-controls')).toEqual('fourth-panel');
+    expect(panel.getAttribute('role')).toEqual('tabpanel');
+    expect(panel.getAttribute('aria-labelledby')).toEqual(newTab.id);
+    expect(panel.getAttribute('hidden')).toEqual('');
+    expect(newTab.tablist).toEqual(tablist);
+
+    tablist.switchTo(3);
+    expect(panel.getAttribute('hidden')).toBeNull();
+    expect(dynamicPanels[0].getAttribute('hidden')).toEqual('');
+  });
+
+  it('Should keep the active tab when a tab is added before it', () => {
+    const [listItem, panel] = createTab('zeroth-panel');
+    tablist.addTab(listItem, panel, 0);
+
+    expect(dynamicTabs.firstElementChild).toEqual(listItem);
+    expect(dynamicPanels[0].previousElementSibling).toEqual(panel);
+    expect(tablist.getState().activeIndex).toEqual(4);
+    expect(tablist.tabLinks[4].getAttribute('aria-selected')).toEqual('true');
+  });
+
+  it('Should move a tab and its panel', () => {
+    tablist.moveTab(0, 2);
+
+    expect(tablist.tabLinks.map((tab) => tab.getAttribute('href'))).toEqual([
+      '#first-panel',
+      '#second-panel',
+      '#zeroth-panel',
+      '#third-panel',
+      '#fourth-panel',
+    ]);
+    expect(dynamicTabs.children[2].querySelector('a'))
+      .toEqual(tablist.tabLinks[2]);
+    expect(dynamicPanels[1].nextElementSibling).toEqual(tablist.panels[2]);
+    expect(tablist.getState().activeIndex).toEqual(4);
+
+    // The active tab follows its new position.
+    tablist.tabLinks[4].focus();
+    tablist.moveTab(4, 1);
+    expect(tablist.getState().activeIndex).toEqual(1);
+    expect(tablist.tabLinks[1].getAttribute('href')).toEqual('#fourth-panel');
+    expect(document.activeElement).toEqual(tablist.tabLinks[1]);
+  });
+
+  it('Should remove a tab and its panel', () => {
+    const removedTab = tablist.tabLinks[0];
+    const removedPanel = tablist.panels[0];
+
+    tablist.removeTab(0);
+
+    expect(removedTab.isConnected).toBeFalsy();
+    expect(removedPanel.isConnected).toBeFalsy();
+    expect(removedTab.getAttribute('role')).toBeNull();
+    expect(removedPanel.getAttribute('aria-labelledby')).toBeNull();
+    expect(removedTab.tablist).toBeUndefined();
+    expect(onRemoveTab).toHaveBeenCalledWith(removedTab, removedPanel);
+
+    // The active tab keeps its state.
+    expect(tablist.tabLinks.length).toEqual(4);
+    expect(tablist.getState().activeIndex).toEqual(0);
+    expect(tablist.tabLinks[0].getAttribute('aria-selected')).toEqual('true');
+  });
+
+  it('Should activate and focus a neighbouring tab when the active tab is removed', () => {
+    tablist.removeTab(0);
+
+    expect(tablist.getState().activeIndex).toEqual(0);
+    expect(tablist.tabLinks[0].getAttribute('href')).toEqual('#second-panel');
+    expect(tablist.tabLinks[0].getAttribute('aria-selected')).toEqual('true');
+    expect(tablist.panels[0].getAttribute('hidden')).toBeNull();
+    expect(document.activeElement).toEqual(tablist.tabLinks[0]);
+  });
+
+  it('Should close closable tabs with the Delete key', () => {
+    // Tabs not matching the selector can't be closed.
+    tablist.tabLinks[0].dispatchEvent(keydownDelete);
+    expect(tablist.tabLinks.length).toEqual(3);
+
+    tablist.moveToTab(1);
+    tablist.tabLinks[1].dispatchEvent(keydownDelete);
+
+    expect(tablist.tabLinks.length).toEqual(2);
+    expect(tablist.getState().activeIndex).toEqual(1);
+    expect(tablist.tabLinks[1].getAttribute('href')).toEqual('#third-panel');
+    expect(document.activeElement).toEqual(tablist.tabLinks[1]);
+  });
+
+  it('Should remove every tab', () => {
+    tablist.removeTab(1);
+    tablist.removeTab(0);
+
+    expect(tablist.getState().activeIndex).toEqual(-1);
+    expect(dynamicTabs.children.length).toEqual(0);
+
+    const [listItem, panel] = createTab('only-panel');
+    tablist.addTab(listItem, panel);
+
+    expect(tablist.getState().activeIndex).toEqual(0);
+    expect(panel.getAttribute('hidden')).toBeNull();
+    expect(dynamicTabs.nextElementSibling).toEqual(panel);
+  });
+
+  it('Should add a tab to a Tablist created without tabs', () => {
+    tablist.destroy();
+    document.body.innerHTML = '<ul class="tablist"></ul>';
+    dynamicTabs = document.querySelector('.tablist');
+
+    tablist = new Tablist({ tabs: dynamicTabs, panels: [] });
+
+    expect(tablist.getState().activeIndex).toEqual(-1);
+    expect(dynamicTabs.getAttribute('role')).toEqual('tablist');
+
+    const [listItem, panel] = createTab('first-panel');
+    tablist.addTab(listItem, panel);
+
+    const newTab = listItem.querySelector('a');
+
+    expect(tablist.getState().activeIndex).toEqual(0);
+    expect(newTab.getAttribute('aria-selected')).toEqual('true');
+    expect(newTab.getAttribute('tabindex')).toBeNull();
+    expect(panel.getAttribute('hidden')).toBeNull();
+    expect(dynamicTabs.nextElementSibling).toEqual(panel);
+  });
+});
+
+describe('Tablist with lazily loaded panels', () => {
+  let lazyTabLinks;
+  let lazyPanels;
+
+  const onLoadError = jest.fn();
+  const loadPanel = jest.fn((index, panel) => {
+    // The first panel loads synchronously.
+    if (0 === index) {
+      panel.innerHTML = '<p>Loaded</p>';
+      return undefined;
+    }
+
+    return Promise.resolve().then(() => {
+      panel.innerHTML = `<p>Loaded <a href="#${index}">link</a></p>`;
+    });
+  });
+
+  beforeAll(() => {
+    document.body.innerHTML = tablistMarkup;
+
+    lazyTabLinks = Array.from(document.querySelectorAll('.tablist a'));
+    lazyPanels = Array.from(document.querySelectorAll('.panel'));
+
+    tablist = new Tablist({
+      tabs: document.querySelector('.tablist'),
+      panels: lazyPanels,
+      loadPanel,
+      onLoadError,
+    });
+  });
+
+  afterAll(() => {
+    tablist.destroy();
+  });
+
+  it('Should load the initially active panel', () => (
+    flushPromises().then(() => {
+      expect(loadPanel).toHaveBeenCalledWith(0, lazyPanels[0]);
+      expect(lazyPanels[0].getAttribute('aria-busy')).toBeNull();
+      expect(lazyPanels[0].textContent).toEqual('Loaded');
+    })
+  ));
+
+  it('Should load panels when their tab is first activated', () => {
+    lazyTabLinks[1].dispatchEvent(click);
+    expect(lazyPanels[1].getAttribute('aria-busy')).toEqual('true');
+
+    return flushPromises().then(() => {
+      expect(loadPanel).toHaveBeenCalledWith(1, lazyPanels[1]);
+      expect(lazyPanels[1].getAttribute('aria-busy')).toBeNull();
+      expect(tablist.interactiveChildElements).toEqual([lazyPanels[1].querySelector('a')]);
+
+      // Loaded panels aren't loaded again.
+      tablist.switchTo(0);
+      tablist.switchTo(1);
+      expect(loadPanel).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  it('Should mark the panel and retry when loading fails', () => {
+    const error = new Error('Network error');
+    loadPanel.mockImplementationOnce(() => Promise.reject(error));
+
+    tablist.switchTo(2);
+
+    return flushPromises()
+      .then(() => {
+        expect(onLoadError).toHaveBeenCalledWith(2, lazyPanels[2], error);
+        expect(lazyPanels[2].getAttribute('data-load-error')).toEqual('');
+        expect(lazyPanels[2].getAttribute('aria-busy')).toBeNull();
+
+        tablist.loadPanelContent(2);
+        expect(lazyPanels[2].getAttribute('data-load-error')).toBeNull();
+
+        return flushPromises();
+      })
+      .then(() => {
+        expect(lazyPanels[2].textContent).toEqual('Loaded link');
+        expect(loadPanel).toHaveBeenCalledTimes(4);
+      });
+  });
+
+  it('Should ignore panels loaded after the Tablist is destroyed', () => {
+    const error = new Error('Network error');
+    let resolveLoad;
+    let rejectLoad;
+
+    tablist.destroy();
+    document.body.innerHTML = tablistMarkup;
+    lazyTabLinks = Array.from(document.querySelectorAll('.tablist a'));
+    lazyPanels = Array.from(document.querySelectorAll('.panel'));
+
+    onLoadError.mockClear();
+    loadPanel
+      .mockImplementationOnce(() => undefined)
+      .mockImplementationOnce((index, panel) => new Promise((resolve) => {
+        resolveLoad = () => {
+          panel.innerHTML = '<p><button>Loaded</button></p>';
+          resolve();
+        };
+      }))
+      .mockImplementationOnce(() => new Promise((resolve, reject) => {
+        rejectLoad = () => reject(error);
+      }));
+
+    tablist = new Tablist({
+      tabs: document.querySelector('.tablist'),
+      panels: lazyPanels,
+      loadPanel,
+      onLoadError,
+    });
+
+    tablist.switchTo(1);
+    tablist.switchTo(2);
+    tablist.switchTo(0);
+
+    return flushPromises()
+      .then(() => {
+        tablist.destroy();
+
+        resolveLoad();
+        rejectLoad();
+
+        return flushPromises();
+      })
+      .then(() => {
+        expect(lazyPanels[1].querySelector('button').getAttribute('tabindex')).toBeNull();
+        expect(lazyPanels[1].getAttribute('aria-busy')).toBeNull();
+        expect(lazyPanels[2].getAttribute('data-load-error')).toBeNull();
+        expect(onLoadError).not.toHaveBeenCalled();
+      });
+  });
+});
+
+describe('Tablist with disabled tabs', () => {
+  let disabledTabLinks;
+  let disabledPanels;
+
+  beforeAll(() => {
+    document.body.innerHTML = tablistMarkup;
+
+    disabledTabLinks = Array.from(document.querySelectorAll('.tablist a'));
+    disabledPanels = Array.from(document.querySelectorAll('.panel'));
+    disabledTabLinks[1].setAttribute('aria-disabled', 'true');
+  });
+
+  afterEach(() => {
+    tablist.destroy();
+  });
+
+  it('Should focus disabled tabs without activating them', () => {
+    tablist = new Tablist({
+      tabs: document.querySelector('.tablist'),
+      panels: disabledPanels,
+    });
+
+    disabledTabLinks[0].focus();
+    disabledTabLinks[0].dispatchEvent(keydownRight);
+
+    expect(document.activeElement).toEqual(disabledTabLinks[1]);
+    expect(tablist.getState().activeIndex).toEqual(0);
+    expect(disabledPanels[1].getAttribute('hidden')).toEqual('');
+
+    // The active panel is focused from the disabled tab.
+    disabledTabLinks[1].dispatchEvent(keydownTab);
+    expect(document.activeElement).toEqual(disabledPanels[0]);
+
+    disabledTabLinks[1].focus();
+    disabledTabLinks[1].dispatchEvent(keydownRight);
+    expect(document.activeElement).toEqual(disabledTabLinks[2]);
+    expect(tablist.getState().activeIndex).toEqual(2);
+  });
+
+  it('Should skip disabled tabs', () => {
+    tablist = new Tablist({
+      tabs: document.querySelector('.tablist'),
+      panels: disabledPanels,
+      skipDisabled: true,
+    });
+
+    disabledTabLinks[0].focus();
+    disabledTabLinks[0].dispatchEvent(keydownRight);
+    expect(document.activeElement).toEqual(disabledTabLinks[2]);
+    expect(tablist.getState().activeIndex).toEqual(2);
+
+    disabledTabLinks[2].dispatchEvent(keydownLeft);
+    expect(document.activeElement).toEqual(disabledTabLinks[0]);
+  });
+
+  it('Should skip disabled tabs with Home and End', () => {
+    disabledTabLinks[2].setAttribute('aria-disabled', 'true');
+
+    tablist = new Tablist({
+      tabs: document.querySelector('.tablist'),
+      panels: disabledPanels,
+      skipDisabled: true,
+    });
+
+    disabledTabLinks[0].focus();
+    disabledTabLinks[0].dispatchEvent(keydownEnd);
+    expect(document.activeElement).toEqual(disabledTabLinks[0]);
+
+    disabledTabLinks[2].removeAttribute('aria-disabled');
+  });
+
+  it('Should not activate disabled tabs', () => {
+    tablist = new Tablist({
+      tabs: document.querySelector('.tablist'),
+      panels: disabledPanels,
+    });
+
+    disabledTabLinks[1].dispatchEvent(click);
+    expect(tablist.getState().activeIndex).toEqual(0);
+
+    tablist.switchTo(1);
+    expect(tablist.getState().activeIndex).toEqual(0);
+    expect(disabledTabLinks[1].getAttribute('aria-selected')).toBeNull();
+  });
+
+  it('Should not initially activate a disabled tab', () => {
+    disabledTabLinks[0].setAttribute('aria-disabled', 'true');
+
+    tablist = new Tablist({
+      tabs: document.querySelector('.tablist'),
+      panels: disabledPanels,
+    });
+
+    expect(tablist.getState().activeIndex).toEqual(2);
+    expect(disabledTabLinks[2].getAttribute('aria-selected')).toEqual('true');
+    expect(disabledPanels[0].getAttribute('hidden')).toEqual('');
+
+    disabledTabLinks[0].removeAttribute('aria-disabled');
+  });
+
+  it('Should leave no tab active if every remaining tab is disabled', () => {
+    disabledTabLinks[2].setAttribute('aria-disabled', 'true');
+
+    tablist = new Tablist({
+      tabs: document.querySelector('.tablist'),
+      panels: disabledPanels,
+    });
+
+    disabledTabLinks[0].focus();
+    tablist.removeTab(0);
+
+    expect(tablist.getState().activeIndex).toEqual(-1);
+    expect(disabledTabLinks[1].getAttribute('aria-selected')).toBeNull();
+    expect(disabledTabLinks[2].getAttribute('aria-selected')).toBeNull();
+    expect(disabledPanels[1].getAttribute('hidden')).toEqual('');
+    expect(disabledPanels[2].getAttribute('hidden')).toEqual('');
+    expect(document.activeElement).toEqual(disabledTabLinks[1]);
+
+    disabledTabLinks[2].removeAttribute('aria-disabled');
+  });
+});
+
+describe('Tablist as an accordion at narrow widths', () => {
+  let accordionTabs;
+  let accordionTabLinks;
+  let accordionPanels;
+
+  const accordionQuery = {
+    matches: true,
+    addListener: jest.fn(),
+    removeListener: jest.fn(),
+  };
+  const onStateChangeAccordion = jest.fn();
+
+  beforeAll(() => {
+    window.matchMedia = jest.fn(() => accordionQuery);
+    document.body.innerHTML = tablistMarkup;
+
+    accordionTabs = document.querySelector('.tablist');
+    accordionTabLinks = Array.from(document.querySelectorAll('.tablist a'));
+    accordionPanels = Array.from(document.querySelectorAll('.panel'));
+
+    tablist = new Tablist({
+      tabs: accordionTabs,
+      panels: accordionPanels,
+      accordionMedia: '(max-width: 40em)',
+      onStateChange: onStateChangeAccordion,
+    });
+  });
+
+  afterAll(() => {
+    delete window.matchMedia;
+  });
+
+  it('Should use Disclosures when the media query matches', () => {
+    expect(window.matchMedia).toHaveBeenCalledWith('(max-width: 40em)');
+    expect(accordionQuery.addListener).toHaveBeenCalledWith(tablist.handleMediaChange);
+
+    expect(accordionTabs.getAttribute('role')).toBeNull();
+    expect(accordionTabLinks[0].getAttribute('role')).toEqual('button');
+    expect(accordionTabLinks[0].getAttribute('aria-expanded')).toEqual('true');
+    expect(accordionTabLinks[0].getAttribute('aria-selected')).toBeNull();
+    expect(accordionTabLinks[1].getAttribute('aria-expanded')).toEqual('false');
+    expect(accordionTabLinks[1].getAttribute('tabindex')).toBeNull();
+    expect(accordionPanels[0].getAttribute('role')).toBeNull();
+    expect(accordionPanels[0].getAttribute('hidden')).toBeNull();
+    expect(accordionPanels[1].getAttribute('hidden')).toEqual('');
+
+    // The panels aren't placed inside the tabs.
+    expect(accordionTabLinks[0].getAttribute('aria-owns')).toBeNull();
+
+    // The open panel's interactive children can be focused.
+    Array.from(accordionPanels[0].querySelectorAll('a')).forEach((link) => {
+      expect(link.getAttribute('tabindex')).toBeNull();
+    });
+  });
+
+  it('Should track the open panel', () => {
+    accordionTabLinks[2].dispatchEvent(click);
+
+    expect(accordionPanels[2].getAttribute('hidden')).toBeNull();
+    expect(accordionPanels[0].getAttribute('hidden')).toEqual('');
+    expect(tablist.getState().activeIndex).toEqual(2);
+    expect(onStateChangeAccordion).toHaveBeenCalledWith({ activeIndex: 2 });
+
+    // Closing every panel keeps the last open panel active.
+    accordionTabLinks[2].dispatchEvent(click);
+    expect(accordionPanels[2].getAttribute('hidden')).toEqual('');
+    expect(tablist.getState().activeIndex).toEqual(2);
+
+    tablist.switchTo(1);
+    expect(accordionPanels[1].getAttribute('hidden')).toBeNull();
+    expect(tablist.getState().activeIndex).toEqual(1);
+  });
+
+  it('Should not open disabled tabs\' panels', () => {
+    accordionTabLinks[0].setAttribute('aria-disabled', 'true');
+
+    accordionTabLinks[0].dispatchEvent(click);
+    accordionTabLinks[0].dispatchEvent(keydownReturn);
+    tablist.switchTo(0);
+
+    expect(accordionPanels[0].getAttribute('hidden')).toEqual('');
+    expect(accordionTabLinks[0].getAttribute('aria-expanded')).toEqual('false');
+    expect(tablist.getState().activeIndex).toEqual(1);
+
+    accordionTabLinks[0].removeAttribute('aria-disabled');
+  });
+
+  it('Should restore the tabs when the media query stops matching', () => {
+    tablist.handleMediaChange({ matches: false });
+
+    expect(tablist.disclosureGroup).toBeNull();
+    expect(accordionTabs.getAttribute('role')).toEqual('tablist');
+    expect(accordionTabLinks[1].getAttribute('role')).toEqual('tab');
+    expect(accordionTabLinks[1].getAttribute('aria-expanded')).toBeNull();
+    expect(accordionTabLinks[1].getAttribute('aria-selected')).toEqual('true');
+    expect(accordionTabLinks[0].getAttribute('tabindex')).toEqual('-1');
+    expect(accordionPanels[1].getAttribute('role')).toEqual('tabpanel');
+    expect(accordionPanels[1].getAttribute('hidden')).toBeNull();
+    expect(accordionPanels[1].getAttribute('aria-labelledby')).toEqual(accordionTabLinks[1].id);
+    expect(accordionPanels[0].getAttribute('hidden')).toEqual('');
+
+    tablist.handleMediaChange({ matches: true });
+    expect(accordionTabLinks[1].getAttribute('aria-expanded')).toEqual('true');
+  });
+
+  it('Should add and remove tabs as an accordion', () => {
+    tablist.removeTab(0);
+
+    expect(tablist.tabLinks).toHaveLength(2);
+    expect(tablist.getState().activeIndex).toEqual(0);
+    expect(accordionTabLinks[1].getAttribute('aria-expanded')).toEqual('true');
+    expect(accordionTabLinks[2].getAttribute('aria-expanded')).toEqual('false');
+    expect(accordionTabs.getAttribute('role')).toBeNull();
+  });
+
+  it('Should remove the Disclosures when destroyed', () => {
+    tablist.destroy();
+
+    expect(accordionQuery.removeListener).toHaveBeenCalledWith(tablist.handleMediaChange);
+    expect(accordionTabLinks[1].getAttribute('aria-expanded')).toBeNull();
+    expect(accordionTabLinks[1].getAttribute('role')).toBeNull();
+    expect(accordionPanels[2].getAttribute('hidden')).toBeNull();
+  });
+});
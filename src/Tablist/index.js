@@ -1,9 +1,20 @@
 import AriaComponent from '../AriaComponent';
 import interactiveChildren from '../lib/interactiveChildren';
 import { setUniqueId } from '../lib/uniqueId';
-import { tabIndexDeny, tabIndexAllow } from '../lib/rovingTabIndex';
-import { nextPreviousFromLeftRight } from '../lib/nextPrevious';
+import {
+  tabIndexDeny,
+  tabIndexAllow,
+  rovingTabIndex,
+} from '../lib/rovingTabIndex';
+import { nextPrevious } from '../lib/nextPrevious';
 import keyCodes from '../lib/keyCodes';
+import {
+  hashMatches,
+  replaceHash,
+  scrollToHashElement,
+} from '../lib/hash';
+import supportsHiddenUntilFound from '../lib/hiddenUntilFound';
+import DisclosureGroup from '../DisclosureGroup';
 
 /**
  * Class for implimenting a tabs widget for sectioning content and displaying
@@ -13,6 +24,16 @@ import keyCodes from '../lib/keyCodes';
  * https://www.w3.org/TR/wai-aria-practices-1.1/examples/tabs/tabs-1/tabs.html
  */
 export default class Tablist extends AriaComponent {
+  /**
+   * Whether the tab is disabled.
+   *
+   * @param {HTMLAnchorElement} tab The tab.
+   * @return {boolean}
+   */
+  static isDisabled(tab) {
+    return 'true' === tab.getAttribute('aria-disabled');
+  }
+
   /**
    * Create a Tablist.
    * @constructor
@@ -64,6 +85,94 @@ export default class Tablist extends AriaComponent {
        */
       panels: null,
 
+      /**
+       * The direction in which the tabs are laid out, which determines the
+       * arrow keys used to move between them.
+       * Options: horizontal, vertical
+       *
+       * @type {string}
+       */
+      orientation: 'horizontal',
+
+      /**
+       * Whether a tab is activated when it receives focus, or only once the
+       * Return or Spacebar key is pressed.
+       * Options: automatic, manual
+       *
+       * @type {string}
+       */
+      activation: 'automatic',
+
+      /**
+       * Skip tabs marked with `aria-disabled="true"` when moving between tabs
+       * with the keyboard, rather than focusing them without activating them.
+       *
+       * @type {boolean}
+       */
+      skipDisabled: false,
+
+      /**
+       * Activate the panel identified by the URL hash, or containing the
+       * element it identifies, on load and when the hash changes.
+       *
+       * @type {boolean}
+       */
+      hashSync: false,
+
+      /**
+       * Set the URL hash to the active panel's ID when the active tab changes.
+       *
+       * @type {boolean}
+       */
+      updateHash: false,
+
+      /**
+       * Hide inactive panels with `hidden="until-found"` where supported,
+       * allowing find-in-page to reach their content and activate them.
+       *
+       * @type {boolean}
+       */
+      hiddenUntilFound: false,
+
+      /**
+       * Media query at which the Tablist becomes an accordion, in which each
+       * tab is a Disclosure for its panel and one panel is open at a time.
+       *
+       * @type {string}
+       */
+      accordionMedia: '',
+
+      /**
+       * Selector for tabs which can be closed with the Delete key.
+       *
+       * @type {string}
+       */
+      closableMatches: '',
+
+      /**
+       * Callback to load a panel's content when its tab is first activated.
+       * The callback populates the panel, and may return a Promise which
+       * resolves once it's done. The panel is marked with `aria-busy="true"`
+       * while loading, and isn't loaded again once loaded.
+       *
+       * @callback loadPanelCallback
+       * @param {number}      index The zero-based index of the panel.
+       * @param {HTMLElement} panel The panel to load.
+       * @return {Promise|undefined}
+       */
+      loadPanel: null,
+
+      /**
+       * Callback to run when loading a panel's content fails. Loading is
+       * retried the next time the panel's tab is activated.
+       *
+       * @callback loadErrorCallback
+       * @param {number}      index The zero-based index of the panel.
+       * @param {HTMLElement} panel The panel.
+       * @param {Error}       error The reason loading failed.
+       */
+      onLoadError: () => {},
+
       /**
        * Callback to run after the component initializes.
        *
@@ -84,6 +193,13 @@ export default class Tablist extends AriaComponent {
        * @callback destroyCallback
        */
       onDestroy: () => {},
+
+      /**
+       * Callback to run after a tab and its panel are removed.
+       *
+       * @callback removeTabCallback
+       */
+      onRemoveTab: () => {},
     };
 
     // Save references to the tablist and panels.
@@ -96,18 +212,29 @@ export default class Tablist extends AriaComponent {
     this.handlePanelKeydown = this.handlePanelKeydown.bind(this);
     this.handleTabsKeydown = this.handleTabsKeydown.bind(this);
     this.handleTabsClick = this.handleTabsClick.bind(this);
+    this.handleTabsFocusout = this.handleTabsFocusout.bind(this);
+    this.moveToTab = this.moveToTab.bind(this);
+    this.handleHashChange = this.handleHashChange.bind(this);
+    this.handlePanelBeforeMatch = this.handlePanelBeforeMatch.bind(this);
+    this.getHashIndex = this.getHashIndex.bind(this);
     this.switchTo = this.switchTo.bind(this);
+    this.addTab = this.addTab.bind(this);
+    this.removeTab = this.removeTab.bind(this);
+    this.moveTab = this.moveTab.bind(this);
+    this.loadPanelContent = this.loadPanelContent.bind(this);
+    this.handleMediaChange = this.handleMediaChange.bind(this);
+    this.handleGroupStateChange = this.handleGroupStateChange.bind(this);
+    this.preventDisabledToggle = this.preventDisabledToggle.bind(this);
     this.destroy = this.destroy.bind(this);
     this.stateWasUpdated = this.stateWasUpdated.bind(this);
 
     /**
-     * Tablist panels.
+     * Tablist panels, copied so adding and removing tabs doesn't modify the
+     * array passed in.
      *
      * @type {array}
      */
-    if (! Array.isArray(this.panels)) {
-      this.panels = Array.prototype.slice.call(this.panels);
-    }
+    this.panels = Array.prototype.slice.call(this.panels);
 
     /**
      * Collect the anchor inside of each list item. Using anchors makes
@@ -124,6 +251,35 @@ export default class Tablist extends AriaComponent {
     )
       .map((child) => child.querySelector('a[href]'));
 
+    /**
+     * Panels whose content is loaded.
+     *
+     * @type {array}
+     */
+    this.loadedPanels = [];
+
+    /**
+     * Panels whose content is loading.
+     *
+     * @type {array}
+     */
+    this.loadingPanels = [];
+
+    /**
+     * Incremented when the Tablist is destroyed, so panels which finish loading
+     * afterward are ignored.
+     *
+     * @type {number}
+     */
+    this.requestId = 0;
+
+    /**
+     * The DisclosureGroup used while the Tablist is an accordion.
+     *
+     * @type {DisclosureGroup|null}
+     */
+    this.disclosureGroup = null;
+
     // Only initialize if tabs and panels are equal in number.
     if (this.tabLinks.length === this.panels.length) {
       this.init();
@@ -134,15 +290,91 @@ export default class Tablist extends AriaComponent {
    * Set up the component's DOM attributes and event listeners.
    */
   init() {
+    // Restore the persisted active tab, unless it no longer exists.
+    const persisted = this.readPersistedState();
+    if (
+      null !== persisted
+      && Number.isInteger(persisted.activeIndex)
+      && 0 <= persisted.activeIndex
+      && this.panels.length > persisted.activeIndex
+    ) {
+      Object.assign(this.state, { activeIndex: persisted.activeIndex });
+    }
+
+    // Activate the panel identified by the URL hash.
+    const hashIndex = this.hashSync ? this.getHashIndex() : -1;
+    if (-1 < hashIndex) {
+      Object.assign(this.state, { activeIndex: hashIndex });
+    }
+
+    // Disabled tabs can't be active.
+    Object.assign(this.state, {
+      activeIndex: this.getEnabledIndex(this.state.activeIndex),
+    });
+
     // Component state is initially set in the constructor.
     const { activeIndex } = this.state;
 
+    /**
+     * The value of inactive panels' `hidden` attribute.
+     *
+     * @type {string}
+     */
+    this.hiddenValue = (this.hiddenUntilFound && supportsHiddenUntilFound())
+      ? 'until-found'
+      : '';
+
+    this.setUpTablist();
+
+    if (this.hashSync) {
+      window.addEventListener('hashchange', this.handleHashChange);
+    }
+
+    // Load the initially active panel's content.
+    if (-1 < activeIndex && this.needsLoad(this.panels[activeIndex])) {
+      this.loadPanelContent(activeIndex);
+    }
+
+    /**
+     * The media query list for `accordionMedia`.
+     *
+     * @type {MediaQueryList|null}
+     */
+    this.accordionQuery = (
+      '' !== this.accordionMedia
+      && 'function' === typeof window.matchMedia
+    )
+      ? window.matchMedia(this.accordionMedia)
+      : null;
+
+    if (null !== this.accordionQuery) {
+      // `addListener` is used for compatibility with older versions of Safari.
+      this.accordionQuery.addListener(this.handleMediaChange);
+      this.handleMediaChange(this.accordionQuery);
+    }
+
+    // Scroll to the URL hash's element now that its panel is shown.
+    if (-1 < hashIndex && activeIndex === hashIndex) {
+      scrollToHashElement();
+    }
+
+    // Run {initCallback}
+    this.onInit.call(this);
+  }
+
+  /**
+   * Set the tablist, tab and panel attributes and event listeners.
+   */
+  setUpTablist() {
+    const { activeIndex } = this.state;
+
     /*
      * The`tablist` role indicates that the list is a container for a set of tabs.
      *
      * https://www.w3.org/TR/wai-aria-1.1/#tablist
      */
     this.tabs.setAttribute('role', 'tablist');
+    this.tabs.setAttribute('aria-orientation', this.orientation);
 
     /*
      * Prevent the Tablist LI element from being announced as list-items as
@@ -154,67 +386,123 @@ export default class Tablist extends AriaComponent {
       }
     });
 
-    // Set attributes for each tab.
+    // Set attributes for each tab and panel.
     this.tabLinks.forEach((tab, index) => {
-      /*
-       * A reference to the class instance added to the controller and target
-       * elements to enable external interactions with this instance.
-       */
-      super.setSelfReference([tab]);
-
-      // Ensure each tab has an ID.
-      setUniqueId(tab);
-      // Add the `tab` role to indicate its relationship to the Tablist.
-      tab.setAttribute('role', 'tab');
-
-      if (activeIndex !== index) {
-        // Don't allow focus on inactive tabs.
-        tab.setAttribute('tabindex', '-1');
-      } else {
-        // Set the first tab as selected by default.
-        tab.setAttribute('aria-selected', 'true');
-      }
-
-      tab.setAttribute('aria-controls', this.panels[index].id);
+      this.setUpTab(tab, this.panels[index]);
     });
 
+    // Set the active tab as selected and reveal its panel.
+    if (-1 < activeIndex) {
+      this.tabLinks[activeIndex].removeAttribute('tabindex');
+      this.tabLinks[activeIndex].setAttribute('aria-selected', 'true');
+      this.panels[activeIndex].setAttribute('tabindex', '0');
+      this.panels[activeIndex].setAttribute('aria-hidden', 'false');
+      this.panels[activeIndex].removeAttribute('hidden');
+    }
+
     // Add event listeners.
     this.tabs.addEventListener('click', this.handleTabsClick);
     this.tabs.addEventListener('keydown', this.handleTabsKeydown);
+    this.tabs.addEventListener('focusout', this.handleTabsFocusout);
 
-    // Set attributes or each panel.
-    this.panels.forEach((panel, index) => {
-      /*
-       * Add a reference to the class instance to enable external interactions
-       * with this instance.
-       */
-      super.setSelfReference([panel]);
-
-      // Ensure each panel has an ID.
-      setUniqueId(panel);
-      // Add the `tabpanel` role to indicate its relationship to the tablist.
-      panel.setAttribute('role', 'tabpanel');
-      // Create a relationship between the tab and its panel.
-      panel.setAttribute('aria-labelledby', this.tabLinks[index].id);
-      // All but the first tab should be hidden by default.
-      if (activeIndex === index) {
-        panel.setAttribute('tabindex', '0');
-        panel.setAttribute('aria-hidden', 'false');
-        panel.removeAttribute('hidden');
-      } else {
-        panel.setAttribute('aria-hidden', 'true');
-        panel.setAttribute('hidden', '');
+    // Save the active panel's interactive children.
+    this.interactiveChildElements = (-1 < activeIndex)
+      ? interactiveChildren(this.panels[activeIndex])
+      : [];
+  }
+
+  /**
+   * Remove the tablist, tab and panel attributes and event listeners.
+   */
+  tearDownTablist() {
+    // Remove the tablist role.
+    this.tabs.removeAttribute('role');
+    this.tabs.removeAttribute('aria-orientation');
+
+    // Remove the 'presentation' role from each list item.
+    Array.prototype.forEach.call(this.tabs.children, (listChild) => {
+      if ('LI' === listChild.nodeName) {
+        listChild.removeAttribute('role');
       }
+    });
 
-      // Listen for panel keydown events.
-      panel.addEventListener('keydown', this.handlePanelKeydown);
+    // Remove tab and panel attributes and event listeners.
+    this.tabLinks.forEach((tab, index) => {
+      this.tearDownTab(tab, this.panels[index]);
     });
 
-    // Save the active panel's interactive children.
-    this.interactiveChildElements = interactiveChildren(this.panels[activeIndex]); // eslint-disable-line max-len
+    // Remove tablist event listeners.
+    this.tabs.removeEventListener('click', this.handleTabsClick);
+    this.tabs.removeEventListener('keydown', this.handleTabsKeydown);
+    this.tabs.removeEventListener('focusout', this.handleTabsFocusout);
+  }
 
-    // Run {initCallback}
-    this.onInit.call(this);
+  /**
+   * Set the attributes and event listeners for an inactive tab and its panel.
+   *
+   * @param {HTMLAnchorElement} tab   The tab.
+   * @param {HTMLElement}       panel The tab's panel.
+   */
+  setUpTab(tab, panel) {
+    /*
+     * A reference to the class instance added to the tab and panel elements
+     * to enable external interactions with this instance.
+     */
+    super.setSelfReference([tab, panel].filter((element) => (
+      ! this.referenceElements.includes(element)
+    )));
+
+    // Ensure the tab and panel each have an ID.
+    setUniqueId(tab);
+    setUniqueId(panel);
+
+    // Add the `tab` role to indicate its relationship to the Tablist.
+    tab.setAttribute('role', 'tab');
+    // Don't allow focus on inactive tabs.
+    tab.setAttribute('tabindex', '-1');
+    tab.setAttribute('aria-controls', panel.id);
+
+    // Add the `tabpanel` role to indicate its relationship to the tablist.
+    panel.setAttribute('role', 'tabpanel');
+    // Create a relationship between the tab and its panel.
+    panel.setAttribute('aria-labelledby', tab.id);
+    panel.setAttribute('aria-hidden', 'true');
+    panel.setAttribute('hidden', this.hiddenValue);
+
+    // Listen for panel keydown events.
+    panel.addEventListener('keydown', this.handlePanelKeydown);
+
+    // Activate the panel when find-in-page matches its content.
+    if ('until-found' === this.hiddenValue) {
+      panel.addEventListener('beforematch', this.handlePanelBeforeMatch);
+    }
+  }
+
+  /**
+   * Remove the attributes and event listeners from a tab and its panel.
+   *
+   * @param {HTMLAnchorElement} tab   The tab.
+   * @param {HTMLElement}       panel The tab's panel.
+   */
+  tearDownTab(tab, panel) {
+    tab.removeAttribute('role');
+    tab.removeAttribute('aria-selected');
+    tab.removeAttribute('tabindex');
+    tab.removeAttribute('aria-controls');
+
+    panel.removeAttribute('role');
+    panel.removeAttribute('aria-hidden');
+    panel.removeAttribute('hidden');
+    panel.removeAttribute('tabindex');
+    panel.removeAttribute('aria-labelledby');
+    panel.removeAttribute('aria-busy');
+    panel.removeAttribute('data-load-error');
+
+    // Make sure to allow tabbing to all children of the panel.
+    tabIndexAllow(interactiveChildren(panel));
+
+    panel.removeEventListener('keydown', this.handlePanelKeydown);
+    panel.removeEventListener('beforematch', this.handlePanelBeforeMatch);
   }
 
   /**
@@ -233,16 +521,25 @@ export default class Tablist extends AriaComponent {
     // Get the index; this is essentially the previous `activeIndex` state.
     const deactiveIndex = this.tabLinks.indexOf(deactivate);
 
-    // Deactivate the previously-selected tab.
-    deactivate.setAttribute('tabindex', '-1');
-    deactivate.removeAttribute('aria-selected');
-    this.panels[deactiveIndex].setAttribute('aria-hidden', 'true');
-    this.panels[deactiveIndex].setAttribute('hidden', '');
-    this.panels[deactiveIndex].removeAttribute('tabindex');
+    // Deactivate the previously-selected tab, unless it was removed.
+    if (-1 < deactiveIndex) {
+      deactivate.setAttribute('tabindex', '-1');
+      deactivate.removeAttribute('aria-selected');
+      this.panels[deactiveIndex].setAttribute('aria-hidden', 'true');
+      this.panels[deactiveIndex].setAttribute('hidden', this.hiddenValue);
+      this.panels[deactiveIndex].removeAttribute('tabindex');
+
+      // Prevent tabbing to interactive children of the deactivated panel.
+      const deactiveChildren = interactiveChildren(this.panels[deactiveIndex]);
+      tabIndexDeny(deactiveChildren);
+    }
 
-    // Prevent tabbing to interactive children of the deactivated panel.
-    const deactiveChildren = interactiveChildren(this.panels[deactiveIndex]);
-    tabIndexDeny(deactiveChildren);
+    // There's nothing to activate once every tab is removed.
+    if (-1 === activeIndex) {
+      this.interactiveChildElements = [];
+      this.onStateChange.call(this, this.state);
+      return;
+    }
 
     // Actvate the newly active tab.
     this.tabLinks[activeIndex].removeAttribute('tabindex');
@@ -255,6 +552,18 @@ export default class Tablist extends AriaComponent {
     this.interactiveChildElements = interactiveChildren(this.panels[activeIndex]); // eslint-disable-line max-len
     tabIndexAllow(this.interactiveChildElements);
 
+    // Load the panel's content the first time its tab is activated.
+    if (this.needsLoad(this.panels[activeIndex])) {
+      this.loadPanelContent(activeIndex);
+    }
+
+    this.writePersistedState({ activeIndex });
+
+    // Keep the URL hash in sync with the active panel.
+    if (this.updateHash && ! hashMatches(this.panels[activeIndex])) {
+      replaceHash(this.panels[activeIndex].id);
+    }
+
     // Run {stateChangeCallback}
     this.onStateChange.call(this, this.state);
   }
@@ -296,56 +605,89 @@ export default class Tablist extends AriaComponent {
       TAB,
       LEFT,
       RIGHT,
+      UP,
       DOWN,
       HOME,
       END,
+      SPACE,
+      RETURN,
+      DELETE,
     } = keyCodes;
+    const { activeIndex } = this.state;
     const { keyCode, shiftKey, target } = event;
     const currentIndex = this.tabLinks.indexOf(target);
 
+    /*
+     * The focused tab's panel is hidden until it's activated manually, and
+     * disabled tabs' panels are never shown.
+     */
+    const panelIndex = (
+      'manual' === this.activation
+      || this.constructor.isDisabled(target)
+    )
+      ? activeIndex
+      : currentIndex;
+
+    // Disabled tabs are either focused without being activated, or skipped.
+    const navigableTabs = this.skipDisabled
+      ? this.tabLinks.filter((tab) => ! this.constructor.isDisabled(tab))
+      : this.tabLinks;
+
+    /*
+     * Vertical tabs are navigated with the up and down arrows, and the panel is
+     * focused with the right arrow, since it's beside the tabs.
+     */
+    const [previous, next, panelKey] = ('vertical' === this.orientation)
+      ? [UP, DOWN, RIGHT]
+      : [LEFT, RIGHT, DOWN];
+
     switch (keyCode) {
       /*
        * Move focus from the active tab to the active panel.
        */
       case TAB: {
-        if (! shiftKey) {
+        if (! shiftKey && -1 < panelIndex) {
           event.preventDefault();
 
-          this.panels[currentIndex].focus();
+          this.panels[panelIndex].focus();
         }
 
         break;
       }
 
       /*
-       * Move to and activate the previous or next tab.
+       * Move to the previous or next tab, activating it unless tabs are
+       * activated manually.
        */
-      case LEFT:
-      case RIGHT: {
-        const newItem = nextPreviousFromLeftRight(
+      case previous:
+      case next: {
+        const newItem = nextPrevious(
           keyCode,
           target,
-          this.tabLinks
+          navigableTabs,
+          { previous, next }
         );
 
         if (newItem) {
           event.preventDefault();
 
-          this.switchTo(this.tabLinks.indexOf(newItem));
-          newItem.focus();
+          this.moveToTab(this.tabLinks.indexOf(newItem));
         }
 
         break;
       }
 
       /*
-       * Focus the active panel itself with the down arrow.
+       * Focus the active panel itself with the down arrow, or the right arrow
+       * for vertical tabs.
        */
-      case DOWN: {
-        event.preventDefault();
+      case panelKey: {
+        if (-1 < panelIndex) {
+          event.preventDefault();
 
-        this.panels[currentIndex].setAttribute('tabindex', '0');
-        this.panels[currentIndex].focus();
+          this.panels[panelIndex].setAttribute('tabindex', '0');
+          this.panels[panelIndex].focus();
+        }
 
         break;
       }
@@ -355,8 +697,7 @@ export default class Tablist extends AriaComponent {
        */
       case HOME: {
         event.preventDefault();
-        this.switchTo(0);
-        this.tabLinks[0].focus();
+        this.moveToTab(this.tabLinks.indexOf(navigableTabs[0]));
 
         break;
       }
@@ -366,9 +707,41 @@ export default class Tablist extends AriaComponent {
        */
       case END: {
         event.preventDefault();
-        const lastIndex = this.tabLinks.length - 1;
-        this.switchTo(lastIndex);
-        this.tabLinks[lastIndex].focus();
+        this.moveToTab(
+          this.tabLinks.indexOf(navigableTabs[navigableTabs.length - 1])
+        );
+
+        break;
+      }
+
+      /*
+       * Activate the focused tab when tabs are activated manually.
+       */
+      case SPACE:
+      case RETURN: {
+        if ('manual' === this.activation && -1 < currentIndex) {
+          event.preventDefault();
+
+          if (activeIndex !== currentIndex) {
+            this.switchTo(currentIndex);
+          }
+        }
+
+        break;
+      }
+
+      /*
+       * Close the focused tab if it's closable.
+       */
+      case DELETE: {
+        if (
+          -1 < currentIndex
+          && '' !== this.closableMatches
+          && target.matches(this.closableMatches)
+        ) {
+          event.preventDefault();
+          this.removeTab(currentIndex);
+        }
 
         break;
       }
@@ -379,6 +752,44 @@ export default class Tablist extends AriaComponent {
     }
   }
 
+  /**
+   * Move focus to a tab, activating it unless tabs are activated manually or
+   * the tab is disabled.
+   *
+   * @param {number} index The zero-based index of the tab to focus.
+   */
+  moveToTab(index) {
+    const tab = this.tabLinks[index];
+
+    if (undefined === tab) {
+      return;
+    }
+
+    if ('manual' === this.activation || this.constructor.isDisabled(tab)) {
+      // Keep the focused tab in the tab order while focus is within the tabs.
+      rovingTabIndex(this.tabLinks, tab);
+    } else {
+      this.switchTo(index);
+    }
+
+    tab.focus();
+  }
+
+  /**
+   * Return the active tab to the tab order when focus leaves the tabs, so
+   * focus returns to the active tab rather than the last focused tab.
+   *
+   * @param {Event} event The event object.
+   */
+  handleTabsFocusout(event) {
+    const { activeIndex } = this.state;
+    const { relatedTarget } = event;
+
+    if (null === relatedTarget || ! this.tabs.contains(relatedTarget)) {
+      rovingTabIndex(this.tabLinks, this.tabLinks[activeIndex]);
+    }
+  }
+
   /**
    * Activate the tab panel when a tab is clicked.
    *
@@ -396,61 +807,516 @@ export default class Tablist extends AriaComponent {
     }
   }
 
+  /**
+   * Get the index of the panel identified by the URL hash, or containing the
+   * element it identifies.
+   *
+   * @return {number}
+   */
+  getHashIndex() {
+    return this.panels.findIndex((panel) => hashMatches(panel));
+  }
+
+  /**
+   * Activate the panel identified by the URL hash when the hash changes.
+   */
+  handleHashChange() {
+    const { activeIndex } = this.state;
+    const index = this.getHashIndex();
+
+    if (-1 < index && activeIndex !== index) {
+      this.switchTo(index);
+      scrollToHashElement();
+    }
+  }
+
+  /**
+   * Activate the panel in which find-in-page matched text.
+   *
+   * @param {Event} event The event object.
+   */
+  handlePanelBeforeMatch(event) {
+    const index = this.panels.indexOf(event.currentTarget);
+
+    if (this.state.activeIndex !== index) {
+      this.switchTo(index);
+    }
+  }
+
   /**
    * Switch directly to a tab.
    *
    * @param {number} index The zero-based tab index to activate.
    */
   switchTo(index) {
-    this.setState({ activeIndex: index });
+    const tab = this.tabLinks[index];
+
+    // Disabled tabs can't be activated.
+    if (undefined === tab || this.constructor.isDisabled(tab)) {
+      return;
+    }
+
+    if (null !== this.disclosureGroup) {
+      this.disclosureGroup.open(index);
+    } else {
+      this.setState({ activeIndex: index });
+    }
   }
 
   /**
-   * Destroy the tablist, removing ARIA attributes and event listeners
+   * Get the index of the first enabled tab at or after the given index, or
+   * the last enabled tab before it, or -1 if no tab is enabled.
+   *
+   * @param {number} index The zero-based tab index.
+   * @return {number}
    */
-  destroy() {
-    // Remove the tablist role.
-    this.tabs.removeAttribute('role');
+  getEnabledIndex(index) {
+    const enabledIndexes = this.tabLinks
+      .filter((tab) => ! this.constructor.isDisabled(tab))
+      .map((tab) => this.tabLinks.indexOf(tab));
+    const [following] = enabledIndexes.filter((tabIndex) => tabIndex >= index);
+    const [preceding] = enabledIndexes
+      .filter((tabIndex) => tabIndex < index)
+      .reverse();
+
+    if (undefined !== following) {
+      return following;
+    }
 
-    // Remove the 'presentation' role from each list item.
-    Array.prototype.forEach.call(this.tabs.children, (listChild) => {
-      if ('LI' === listChild.nodeName) {
-        listChild.removeAttribute('role');
+    return (undefined !== preceding) ? preceding : -1;
+  }
+
+  /**
+   * Whether the panel's content has yet to be loaded.
+   *
+   * @param {HTMLElement} panel The panel.
+   * @return {boolean}
+   */
+  needsLoad(panel) {
+    return (
+      'function' === typeof this.loadPanel
+      && ! this.loadedPanels.includes(panel)
+      && ! this.loadingPanels.includes(panel)
+    );
+  }
+
+  /**
+   * Load a panel's content with the `loadPanel` callback, such as to retry
+   * after loading fails. Panels which are already loaded are loaded again.
+   *
+   * @param {number} index The zero-based index of the panel to load.
+   */
+  loadPanelContent(index) {
+    const { requestId } = this;
+    const panel = this.panels[index];
+
+    if (undefined === panel || this.loadingPanels.includes(panel)) {
+      return;
+    }
+
+    /**
+     * Mark the panel as no longer loading.
+     */
+    const loadingDone = () => {
+      this.loadingPanels = this.loadingPanels.filter((loadingPanel) => (
+        loadingPanel !== panel
+      ));
+      panel.removeAttribute('aria-busy');
+    };
+
+    this.loadedPanels = this.loadedPanels.filter((loadedPanel) => (
+      loadedPanel !== panel
+    ));
+    this.loadingPanels = [...this.loadingPanels, panel];
+    panel.removeAttribute('data-load-error');
+    panel.setAttribute('aria-busy', 'true');
+
+    Promise.resolve()
+      .then(() => this.loadPanel.call(this, index, panel))
+      .then(() => {
+        // Ignore the content if the Tablist has since been destroyed.
+        if (requestId !== this.requestId) {
+          return;
+        }
+
+        loadingDone();
+        this.loadedPanels = [...this.loadedPanels, panel];
+
+        // Update the tab order to include the loaded content.
+        if (this.panels[this.state.activeIndex] === panel) {
+          this.interactiveChildElements = interactiveChildren(panel);
+          tabIndexAllow(this.interactiveChildElements);
+        } else {
+          tabIndexDeny(interactiveChildren(panel));
+        }
+      })
+      .catch((error) => {
+        if (requestId !== this.requestId) {
+          return;
+        }
+
+        loadingDone();
+
+        // Loading is retried when the panel is next activated.
+        panel.setAttribute('data-load-error', '');
+
+        // Run {loadErrorCallback}
+        this.onLoadError.call(this, this.panels.indexOf(panel), panel, error);
+      });
+  }
+
+  /**
+   * Get the list item containing a tab.
+   *
+   * @param {HTMLAnchorElement} tab The tab.
+   * @return {HTMLLIElement}
+   */
+  getTabListItem(tab) {
+    return Array.prototype.find.call(
+      this.tabs.children,
+      (listChild) => listChild.contains(tab)
+    );
+  }
+
+  /**
+   * Insert a panel into the document before the panel at the given index, or
+   * after the last panel.
+   *
+   * @param {HTMLElement} panel The panel to insert.
+   * @param {number}      index The zero-based index of the panel to precede.
+   */
+  insertPanel(panel, index) {
+    if (index < this.panels.length) {
+      const nextPanel = this.panels[index];
+      nextPanel.parentNode.insertBefore(panel, nextPanel);
+    } else if (0 < this.panels.length) {
+      const lastPanel = this.panels[this.panels.length - 1];
+      lastPanel.parentNode.insertBefore(panel, lastPanel.nextSibling);
+    } else {
+      this.tabs.parentNode.insertBefore(panel, this.tabs.nextSibling);
+    }
+  }
+
+  /**
+   * Add a tab and its panel.
+   *
+   * Panels already in the document are left in place; otherwise the panel is
+   * inserted alongside the other panels.
+   *
+   * @param {HTMLLIElement} listItem The list item containing the tab's anchor.
+   * @param {HTMLElement}   panel    The tab's panel.
+   * @param {number}        index    The zero-based index at which to add the tab.
+   */
+  addTab(listItem, panel, index = this.tabLinks.length) {
+    if (null !== this.disclosureGroup) {
+      this.withTabs(() => this.addTab(listItem, panel, index));
+      return;
+    }
+
+    const { activeIndex } = this.state;
+    const tab = listItem.querySelector('a[href]');
+    const newIndex = Math.max(0, Math.min(index, this.tabLinks.length));
+
+    if (null === tab) {
+      return;
+    }
+
+    if (newIndex < this.tabLinks.length) {
+      const nextListItem = this.getTabListItem(this.tabLinks[newIndex]);
+      this.tabs.insertBefore(listItem, nextListItem);
+    } else {
+      this.tabs.appendChild(listItem);
+    }
+
+    if (! panel.isConnected) {
+      this.insertPanel(panel, newIndex);
+    }
+
+    listItem.setAttribute('role', 'presentation');
+
+    this.tabLinks.splice(newIndex, 0, tab);
+    this.panels.splice(newIndex, 0, panel);
+    this.setUpTab(tab, panel);
+
+    if (-1 === activeIndex) {
+      // Activate the new tab unless it's disabled.
+      const enabledIndex = this.getEnabledIndex(newIndex);
+      if (-1 < enabledIndex) {
+        this.setState({ activeIndex: enabledIndex });
       }
-    });
+    } else if (newIndex <= activeIndex) {
+      // The active tab moved along.
+      this.setState({ activeIndex: activeIndex + 1 });
+    }
+  }
+
+  /**
+   * Remove a tab and its panel.
+   *
+   * If the active tab is removed, the following tab is activated, or the
+   * preceding tab if the last tab was removed.
+   *
+   * @param {number} index The zero-based index of the tab to remove.
+   */
+  removeTab(index) {
+    if (null !== this.disclosureGroup) {
+      this.withTabs(() => this.removeTab(index));
+      return;
+    }
+
+    const { activeIndex } = this.state;
+    const tab = this.tabLinks[index];
+    const panel = this.panels[index];
+
+    if (undefined === tab) {
+      return;
+    }
+
+    const { activeElement } = document;
+    const listItem = this.getTabListItem(tab);
+    const hadFocus = listItem.contains(activeElement)
+      || panel.contains(activeElement);
+
+    this.tearDownTab(tab, panel);
+    listItem.removeAttribute('role');
 
     // Remove the references to the class instance.
-    this.deleteSelfReferences();
+    delete tab.tablist;
+    delete panel.tablist;
+    this.referenceElements = this.referenceElements.filter((element) => (
+      tab !== element && panel !== element
+    ));
 
-    // Remove tab attributes and event listeners.
-    this.tabLinks.forEach((tab) => {
-      tab.removeAttribute('role');
-      tab.removeAttribute('aria-selected');
-      tab.removeAttribute('tabindex');
-      tab.removeAttribute('aria-controls');
+    listItem.remove();
+    panel.remove();
+
+    this.tabLinks.splice(index, 1);
+    this.panels.splice(index, 1);
+
+    if (index === activeIndex) {
+      this.setState({
+        activeIndex: this.getEnabledIndex(
+          Math.min(index, this.tabLinks.length - 1)
+        ),
+      });
+    } else if (index < activeIndex) {
+      // The active tab moved back.
+      this.setState({ activeIndex: activeIndex - 1 });
+    }
+
+    // Keep focus within the tabs.
+    if (hadFocus && 0 < this.tabLinks.length) {
+      const focusIndex = (-1 < this.state.activeIndex)
+        ? this.state.activeIndex
+        : Math.min(index, this.tabLinks.length - 1);
+      this.tabLinks[focusIndex].focus();
+    }
+
+    // Run {removeTabCallback}
+    this.onRemoveTab.call(this, tab, panel);
+  }
+
+  /**
+   * Move a tab and its panel to a new index.
+   *
+   * @param {number} from The zero-based index of the tab to move.
+   * @param {number} to   The zero-based index to move the tab to.
+   */
+  moveTab(from, to) {
+    if (null !== this.disclosureGroup) {
+      this.withTabs(() => this.moveTab(from, to));
+      return;
+    }
+
+    const { activeIndex } = this.state;
+    const tab = this.tabLinks[from];
+    const panel = this.panels[from];
+
+    if (
+      undefined === tab
+      || from === to
+      || 0 > to
+      || this.tabLinks.length <= to
+    ) {
+      return;
+    }
+
+    const activeTab = this.tabLinks[activeIndex];
+    const { activeElement } = document;
+    const listItem = this.getTabListItem(tab);
+
+    this.tabLinks.splice(from, 1);
+    this.panels.splice(from, 1);
+
+    if (to < this.tabLinks.length) {
+      const nextListItem = this.getTabListItem(this.tabLinks[to]);
+      this.tabs.insertBefore(listItem, nextListItem);
+    } else {
+      this.tabs.appendChild(listItem);
+    }
+    this.insertPanel(panel, to);
+
+    this.tabLinks.splice(to, 0, tab);
+    this.panels.splice(to, 0, panel);
+
+    // Moving an element removes focus from it.
+    if (
+      activeElement !== document.activeElement
+      && (listItem.contains(activeElement) || panel.contains(activeElement))
+    ) {
+      activeElement.focus();
+    }
+
+    // The active tab keeps its place in the state.
+    const newActiveIndex = this.tabLinks.indexOf(activeTab);
+    if (activeIndex !== newActiveIndex) {
+      this.setState({ activeIndex: newActiveIndex });
+    }
+  }
 
-      tab.removeEventListener('click', this.handleTabsClick);
-      tab.removeEventListener('keydown', this.handleTabsKeydown);
+  /**
+   * Switch between tabs and an accordion as the `accordionMedia` media query
+   * changes.
+   *
+   * @param {MediaQueryListEvent} event The event object.
+   */
+  handleMediaChange({ matches }) {
+    if (matches && null === this.disclosureGroup) {
+      this.enableAccordion();
+    } else if (! matches && null !== this.disclosureGroup) {
+      this.disableAccordion();
+    }
+  }
+
+  /**
+   * Replace the tab semantics with a Disclosure for each tab, opening the
+   * active tab's panel.
+   */
+  enableAccordion() {
+    const { activeIndex } = this.state;
+
+    this.tearDownTablist();
+
+    this.disclosureGroup = new DisclosureGroup({
+      disclosures: this.tabLinks.map((tab, index) => ({
+        controller: tab,
+        target: this.panels[index],
+        loadOpen: activeIndex === index,
+        // Find-in-page can't open disabled tabs' panels.
+        hiddenUntilFound: (
+          this.hiddenUntilFound
+          && ! this.constructor.isDisabled(tab)
+        ),
+      })),
+      onStateChange: this.handleGroupStateChange,
     });
 
-    // Remove panel attributes and event listeners.
-    this.panels.forEach((panel) => {
-      panel.removeAttribute('role');
-      panel.removeAttribute('aria-hidden');
-      panel.removeAttribute('hidden');
-      panel.removeAttribute('tabindex');
-      panel.removeAttribute('aria-labelledby');
-
-      // Make sure to allow tabbing to all children of all panels.
-      const interactiveChildElements = interactiveChildren(panel);
-      tabIndexAllow(interactiveChildElements);
-
-      panel.removeEventListener(
-        'keydown',
-        this.handlePanelKeydown
-      );
+    /*
+     * Each panel follows the tabs rather than its tab, and the `aria-owns`
+     * relationship would place the panel inside the tab.
+     */
+    this.tabLinks.forEach((tab) => {
+      tab.removeAttribute('aria-owns');
     });
 
+    // Intercept events before they reach disabled tabs' Disclosures.
+    this.tabs.addEventListener('click', this.preventDisabledToggle, true);
+    this.tabs.addEventListener('keydown', this.preventDisabledToggle, true);
+  }
+
+  /**
+   * Restore the tab semantics, activating the most recently opened panel.
+   */
+  disableAccordion() {
+    this.tabs.removeEventListener('click', this.preventDisabledToggle, true);
+    this.tabs.removeEventListener('keydown', this.preventDisabledToggle, true);
+
+    this.disclosureGroup.destroy();
+    this.disclosureGroup = null;
+
+    this.setUpTablist();
+  }
+
+  /**
+   * Prevent disabled tabs' panels from being opened while the Tablist is an
+   * accordion.
+   *
+   * @param {Event} event The event object.
+   */
+  preventDisabledToggle(event) {
+    const { SPACE, RETURN } = keyCodes;
+    const { type, keyCode, target } = event;
+    const tab = this.tabLinks.find((tabLink) => tabLink.contains(target));
+
+    if (
+      undefined !== tab
+      && this.constructor.isDisabled(tab)
+      && ('click' === type || [SPACE, RETURN].includes(keyCode))
+    ) {
+      event.preventDefault();
+      event.stopPropagation();
+    }
+  }
+
+  /**
+   * Track the open panel while the Tablist is an accordion, so it's active once
+   * the Tablist returns to tabs.
+   *
+   * @param {object} state             The DisclosureGroup state.
+   * @param {number} state.activeIndex The open Disclosure's index.
+   */
+  handleGroupStateChange({ activeIndex }) {
+    if (-1 === activeIndex || this.state.activeIndex === activeIndex) {
+      return;
+    }
+
+    Object.assign(this.state, { activeIndex });
+
+    // Load the panel's content the first time it's opened.
+    if (this.needsLoad(this.panels[activeIndex])) {
+      this.loadPanelContent(activeIndex);
+    }
+
+    this.writePersistedState({ activeIndex });
+
+    // Run {stateChangeCallback}
+    this.onStateChange.call(this, this.state);
+  }
+
+  /**
+   * Run a callback with the tab semantics in place of the accordion, then
+   * restore the accordion.
+   *
+   * @param {Function} callback The function to run.
+   */
+  withTabs(callback) {
+    this.disableAccordion();
+    callback();
+    this.enableAccordion();
+  }
+
+  /**
+   * Destroy the tablist, removing ARIA attributes and event listeners
+   */
+  destroy() {
+    // Ignore pending requests for panels' content.
+    this.requestId += 1;
+
+    if (null !== this.disclosureGroup) {
+      this.disableAccordion();
+    }
+
+    if (null !== this.accordionQuery) {
+      this.accordionQuery.removeListener(this.handleMediaChange);
+    }
+
+    this.tearDownTablist();
+
+    // Remove the references to the class instance.
+    this.deleteSelfReferences();
+
+    window.removeEventListener('hashchange', this.handleHashChange);
+
     // Run {destroyCallback}
     this.onDestroy.call(this);
   }
@@ -0,0 +1,467 @@
+/* eslint-disable max-len */
+import { TreeView } from 'root';
+import { events, flushPromises } from '../lib/events';
+
+const {
+  click,
+  keydownReturn,
+  keydownSpace,
+  keydownUp,
+  keydownDown,
+  keydownLeft,
+  keydownRight,
+  keydownHome,
+  keydownEnd,
+} = events;
+
+const treeMarkup = `
+  <ul>
+    <li><span>Projects</span>
+      <ul>
+        <li>project-1.docx</li>
+        <li><span>Archive</span>
+          <ul>
+            <li>old.docx</li>
+          </ul>
+        </li>
+      </ul>
+    </li>
+    <li><span>Reports</span>
+      <ul>
+        <li>report-1.docx</li>
+      </ul>
+    </li>
+    <li>readme.txt</li>
+  </ul>
+`;
+
+// Set up our document body
+document.body.innerHTML = treeMarkup;
+
+const list = document.querySelector('ul');
+const [projects, project1, archive, old, reports, report1, readme] = Array.from(document.querySelectorAll('li'));
+const [projectsGroup, archiveGroup, reportsGroup] = Array.from(list.querySelectorAll('ul'));
+
+let treeview = {};
+
+// Mock functions.
+const onStateChange = jest.fn();
+const onInit = jest.fn();
+const onDestroy = jest.fn();
+
+const keydownAsterisk = new KeyboardEvent('keydown', {
+  key: '*',
+  keyCode: 56,
+  shiftKey: true,
+  bubbles: true,
+});
+
+describe('TreeView with default configuration', () => {
+  beforeAll(() => {
+    treeview = new TreeView({
+      list,
+      onStateChange,
+      onInit,
+      onDestroy,
+    });
+  });
+
+  describe('TreeView adds and manipulates DOM element attributes', () => {
+    it('Should be instantiated as expected', () => {
+      expect(treeview).toBeInstanceOf(TreeView);
+      expect(list.treeview).toBeInstanceOf(TreeView);
+
+      expect(treeview.nodes).toEqual([projects, project1, archive, old, reports, report1, readme]);
+      expect(treeview.groups).toEqual([projectsGroup, archiveGroup, reportsGroup]);
+      expect(treeview.getState().activeNode).toEqual(projects);
+      expect(treeview.getState().expanded).toEqual([]);
+
+      expect(onInit).toHaveBeenCalled();
+    });
+
+    it('Should add the correct attributes to the tree', () => {
+      expect(list.getAttribute('role')).toEqual('tree');
+      expect(list.getAttribute('aria-multiselectable')).toBeNull();
+
+      treeview.groups.forEach((group) => {
+        expect(group.getAttribute('role')).toEqual('group');
+        expect(group.getAttribute('hidden')).toEqual('');
+      });
+    });
+
+    it('Should add the correct attributes to the nodes', () => {
+      treeview.nodes.forEach((node) => {
+        expect(node.getAttribute('role')).toEqual('treeitem');
+        expect(node.getAttribute('aria-selected')).toBeNull();
+      });
+
+      expect([projects, project1, archive, old].map((node) => node.getAttribute('aria-level'))).toEqual(['1', '2', '2', '3']);
+
+      expect(projects.getAttribute('aria-expanded')).toEqual('false');
+      expect(readme.getAttribute('aria-expanded')).toBeNull();
+
+      // Parent nodes are labelled by their first child.
+      expect(projects.getAttribute('aria-labelledby')).toEqual(projects.firstElementChild.id);
+      expect(readme.getAttribute('aria-labelledby')).toBeNull();
+
+      // Only the active node is in the tab order.
+      expect(projects.getAttribute('tabindex')).toEqual('0');
+      expect(reports.getAttribute('tabindex')).toEqual('-1');
+    });
+  });
+
+  describe('TreeView correctly responds to events', () => {
+    it('Should move through the visible nodes with UP and DOWN', () => {
+      projects.focus();
+
+      list.dispatchEvent(keydownDown);
+      expect(treeview.getState().activeNode).toEqual(reports);
+      expect(document.activeElement).toEqual(reports);
+      expect(reports.getAttribute('tabindex')).toEqual('0');
+      expect(projects.getAttribute('tabindex')).toEqual('-1');
+
+      list.dispatchEvent(keydownUp);
+      expect(document.activeElement).toEqual(projects);
+
+      // There's no node before the first.
+      list.dispatchEvent(keydownUp);
+      expect(document.activeElement).toEqual(projects);
+
+      expect(onStateChange).toHaveBeenCalled();
+    });
+
+    it('Should expand and enter a parent node with RIGHT', () => {
+      list.dispatchEvent(keydownRight);
+      expect(treeview.getState().expanded).toEqual([projects]);
+      expect(projects.getAttribute('aria-expanded')).toEqual('true');
+      expect(projectsGroup.getAttribute('hidden')).toBeNull();
+      expect(document.activeElement).toEqual(projects);
+
+      list.dispatchEvent(keydownRight);
+      expect(document.activeElement).toEqual(project1);
+
+      // Nothing happens on an end node.
+      list.dispatchEvent(keydownRight);
+      expect(document.activeElement).toEqual(project1);
+
+      list.dispatchEvent(keydownDown);
+      list.dispatchEvent(keydownDown);
+      expect(document.activeElement).toEqual(reports);
+    });
+
+    it('Should collapse and exit a parent node with LEFT', () => {
+      list.dispatchEvent(keydownUp);
+      expect(document.activeElement).toEqual(archive);
+
+      list.dispatchEvent(keydownLeft);
+      expect(document.activeElement).toEqual(projects);
+
+      list.dispatchEvent(keydownLeft);
+      expect(projects.getAttribute('aria-expanded')).toEqual('false');
+      expect(projectsGroup.getAttribute('hidden')).toEqual('');
+      expect(document.activeElement).toEqual(projects);
+    });
+
+    it('Should move to the first and last visible nodes', () => {
+      list.dispatchEvent(keydownEnd);
+      expect(document.activeElement).toEqual(readme);
+
+      list.dispatchEvent(keydownHome);
+      expect(document.activeElement).toEqual(projects);
+    });
+
+    it('Should expand all sibling nodes with *', () => {
+      list.dispatchEvent(keydownAsterisk);
+      expect(treeview.getState().expanded).toEqual([projects, reports]);
+
+      // Nested parent nodes aren't expanded.
+      expect(archive.getAttribute('aria-expanded')).toEqual('false');
+    });
+
+    it('Should toggle parent nodes with RETURN', () => {
+      list.dispatchEvent(keydownReturn);
+      expect(projects.getAttribute('aria-expanded')).toEqual('false');
+
+      list.dispatchEvent(keydownReturn);
+      expect(projects.getAttribute('aria-expanded')).toEqual('true');
+
+      // Selection isn't supported by default.
+      list.dispatchEvent(keydownSpace);
+      expect(treeview.getState().selected).toEqual([]);
+    });
+
+    it('Should move to visible nodes with type-ahead', () => {
+      list.dispatchEvent(new KeyboardEvent('keydown', { keyCode: 'R'.charCodeAt(), bubbles: true }));
+      expect(document.activeElement).toEqual(reports);
+
+      // Hidden nodes are skipped.
+      treeview.collapse(reports);
+      list.dispatchEvent(keydownHome);
+      list.dispatchEvent(new KeyboardEvent('keydown', { keyCode: 'O'.charCodeAt(), bubbles: true }));
+      expect(document.activeElement).toEqual(projects);
+    });
+
+    it('Should activate the parent node when collapsing hides the active node', () => {
+      treeview.expand(archive);
+      old.focus();
+      treeview.setState({ activeNode: old });
+
+      treeview.collapse(projects);
+      expect(treeview.getState().activeNode).toEqual(projects);
+      expect(document.activeElement).toEqual(projects);
+
+      // The nested node remains expanded.
+      expect(treeview.getState().expanded).toContain(archive);
+    });
+
+    it('Should toggle clicked parent nodes', () => {
+      reports.firstElementChild.dispatchEvent(click);
+      expect(treeview.getState().activeNode).toEqual(reports);
+      expect(treeview.getState().expanded).toContain(reports);
+
+      report1.dispatchEvent(click);
+      expect(treeview.getState().activeNode).toEqual(report1);
+      expect(treeview.getState().expanded).toContain(reports);
+    });
+  });
+
+  describe('TreeView destroy', () => {
+    it('Should remove the added attributes when destroyed', () => {
+      treeview.destroy();
+
+      expect(list.treeview).toBeUndefined();
+      expect(document.body.innerHTML).toEqual(treeMarkup);
+      expect(onDestroy).toHaveBeenCalled();
+    });
+  });
+});
+
+describe('TreeView with selection', () => {
+  beforeEach(() => {
+    document.body.innerHTML = treeMarkup;
+  });
+
+  it('Should select a single node', () => {
+    treeview = new TreeView({
+      list: document.querySelector('ul'),
+      selection: 'single',
+    });
+
+    const [first, second] = treeview.nodes;
+    const tree = treeview.list;
+    first.focus();
+
+    tree.dispatchEvent(keydownSpace);
+    expect(treeview.getState().selected).toEqual([first]);
+    expect(first.getAttribute('aria-selected')).toEqual('true');
+    expect(second.getAttribute('aria-selected')).toBeNull();
+
+    treeview.select(second);
+    expect(treeview.getState().selected).toEqual([second]);
+    expect(first.getAttribute('aria-selected')).toBeNull();
+
+    // Selection doesn't toggle.
+    treeview.toggleSelected(second);
+    expect(treeview.getState().selected).toEqual([second]);
+
+    treeview.destroy();
+    expect(document.body.innerHTML).toEqual(treeMarkup);
+  });
+
+  it('Should select multiple nodes', () => {
+    treeview = new TreeView({
+      list: document.querySelector('ul'),
+      selection: 'multiple',
+    });
+
+    const tree = treeview.list;
+    const [first, , , , second, , third] = treeview.nodes;
+    expect(tree.getAttribute('aria-multiselectable')).toEqual('true');
+    treeview.nodes.forEach((node) => {
+      expect(node.getAttribute('aria-selected')).toEqual('false');
+    });
+
+    first.focus();
+    tree.dispatchEvent(keydownSpace);
+    tree.dispatchEvent(new KeyboardEvent('keydown', { keyCode: 40, shiftKey: true, bubbles: true }));
+    expect(treeview.getState().selected).toEqual([first, second]);
+    expect(second.getAttribute('aria-selected')).toEqual('true');
+
+    tree.dispatchEvent(keydownSpace);
+    expect(treeview.getState().selected).toEqual([first]);
+
+    // Select all visible nodes.
+    const ctrlA = new KeyboardEvent('keydown', { keyCode: 'A'.charCodeAt(), ctrlKey: true, bubbles: true });
+    tree.dispatchEvent(ctrlA);
+    expect(treeview.getState().selected).toEqual([first, second, third]);
+
+    tree.dispatchEvent(ctrlA);
+    expect(treeview.getState().selected).toEqual([]);
+
+    treeview.destroy();
+    expect(document.body.innerHTML).toEqual(treeMarkup);
+  });
+});
+
+describe('TreeView without nodes', () => {
+  it('Should set up an empty tree', () => {
+    document.body.innerHTML = '<ul aria-label="Files"></ul>';
+    const tree = document.querySelector('ul');
+
+    treeview = new TreeView({ list: tree });
+
+    expect(treeview.nodes).toEqual([]);
+    expect(treeview.getState().activeNode).toBeUndefined();
+    expect(tree.getAttribute('role')).toEqual('tree');
+
+    tree.dispatchEvent(keydownDown);
+    tree.dispatchEvent(new KeyboardEvent('keydown', { key: '*', bubbles: true }));
+    expect(treeview.getState().activeNode).toBeUndefined();
+
+    treeview.destroy();
+    expect(document.body.innerHTML).toEqual('<ul aria-label="Files"></ul>');
+  });
+});
+
+describe('TreeView with lazily-loaded children', () => {
+  const lazyMarkup = `
+  <ul>
+    <li aria-expanded="false"><span>Projects</span></li>
+    <li aria-expanded="false"><span>Empty</span></li>
+    <li>readme.txt</li>
+  </ul>
+`;
+
+  const onLoadError = jest.fn();
+  const loadChildren = jest.fn((node) => {
+    if (node.textContent.startsWith('Empty')) {
+      return Promise.resolve([]);
+    }
+
+    const folder = document.createElement('li');
+    folder.setAttribute('aria-expanded', 'false');
+    folder.innerHTML = '<span>Archive</span>';
+
+    return Promise.resolve(['project-1.docx', folder]);
+  });
+
+  let tree;
+  let projectsNode;
+  let emptyNode;
+
+  beforeAll(() => {
+    document.body.innerHTML = lazyMarkup;
+    tree = document.querySelector('ul');
+    [projectsNode, emptyNode] = Array.from(tree.children);
+
+    treeview = new TreeView({
+      list: tree,
+      loadChildren,
+      onLoadError,
+    });
+  });
+
+  it('Should treat marked nodes as parent nodes', () => {
+    expect(treeview.parentNodes).toEqual([projectsNode, emptyNode]);
+    expect(projectsNode.getAttribute('aria-expanded')).toEqual('false');
+    expect(loadChildren).not.toHaveBeenCalled();
+  });
+
+  it('Should load children when a node is first expanded', () => {
+    projectsNode.focus();
+    tree.dispatchEvent(keydownRight);
+
+    expect(projectsNode.getAttribute('aria-expanded')).toEqual('true');
+    expect(projectsNode.getAttribute('aria-busy')).toEqual('true');
+    expect(treeview.getState().loading).toEqual([projectsNode]);
+
+    // There are no children to move to while loading.
+    tree.dispatchEvent(keydownRight);
+    expect(document.activeElement).toEqual(projectsNode);
+
+    return flushPromises().then(() => {
+      const [loadedProject, loadedArchive] = Array.from(projectsNode.querySelectorAll('li'));
+
+      expect(loadChildren).toHaveBeenCalledWith(projectsNode);
+      expect(projectsNode.getAttribute('aria-busy')).toBeNull();
+      expect(projectsNode.querySelector('ul').getAttribute('role')).toEqual('group');
+      expect(projectsNode.getAttribute('aria-labelledby')).toEqual(projectsNode.firstElementChild.id);
+
+      expect(treeview.nodes).toContain(loadedProject);
+      expect(loadedProject.textContent).toEqual('project-1.docx');
+      expect(loadedProject.getAttribute('role')).toEqual('treeitem');
+      expect(loadedProject.getAttribute('aria-level')).toEqual('2');
+      expect(loadedProject.getAttribute('tabindex')).toEqual('-1');
+
+      // Loaded nodes can be lazy parents as well.
+      expect(treeview.parentNodes).toContain(loadedArchive);
+
+      tree.dispatchEvent(keydownRight);
+      expect(document.activeElement).toEqual(loadedProject);
+      expect(loadChildren).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  it('Should treat nodes without children as end nodes', () => {
+    treeview.expand(emptyNode);
+
+    return flushPromises().then(() => {
+      expect(emptyNode.getAttribute('aria-expanded')).toBeNull();
+      expect(treeview.parentNodes).not.toContain(emptyNode);
+      expect(treeview.getState().expanded).not.toContain(emptyNode);
+    });
+  });
+
+  it('Should collapse the node and retry when loading fails', () => {
+    const [, loadedArchive] = Array.from(projectsNode.querySelectorAll('li'));
+    const error = new Error('Network error');
+    loadChildren.mockImplementationOnce(() => Promise.reject(error));
+
+    treeview.expand(loadedArchive);
+
+    return flushPromises()
+      .then(() => {
+        expect(onLoadError).toHaveBeenCalledWith(loadedArchive, error);
+        expect(loadedArchive.getAttribute('data-load-error')).toEqual('');
+        expect(loadedArchive.getAttribute('aria-expanded')).toEqual('false');
+        expect(loadedArchive.getAttribute('aria-busy')).toBeNull();
+
+        treeview.expand(loadedArchive);
+        expect(loadedArchive.getAttribute('data-load-error')).toBeNull();
+
+        return flushPromises();
+      })
+      .then(() => {
+        expect(loadedArchive.getAttribute('aria-expanded')).toEqual('true');
+        expect(loadedArchive.querySelectorAll('li')).toHaveLength(2);
+      });
+  });
+
+  it('Should keep marking unloaded parent nodes when destroyed', () => {
+    // The second Archive node loaded by the first.
+    const [, loadedArchive] = Array.from(projectsNode.querySelectorAll('li'));
+    const [, unloaded] = Array.from(loadedArchive.querySelectorAll('li'));
+    treeview.destroy();
+
+    expect(unloaded.getAttribute('aria-expanded')).toEqual('false');
+    expect(projectsNode.getAttribute('aria-expanded')).toBeNull();
+  });
+
+  it('Should ignore children loaded after the tree is destroyed', () => {
+    document.body.innerHTML = lazyMarkup;
+    tree = document.querySelector('ul');
+    [projectsNode] = Array.from(tree.children);
+
+    treeview = new TreeView({ list: tree, loadChildren });
+    treeview.expand(projectsNode);
+    treeview.destroy();
+
+    return flushPromises().then(() => {
+      expect(projectsNode.querySelector('ul')).toBeNull();
+      expect(projectsNode.getAttribute('role')).toBeNull();
+      expect(projectsNode.getAttribute('tabindex')).toBeNull();
+      expect(projectsNode.getAttribute('aria-busy')).toBeNull();
+      expect(projectsNode.getAttribute('aria-expanded')).toEqual('false');
+    });
+  });
+});
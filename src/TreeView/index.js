@@ -0,0 +1,900 @@
+import AriaComponent from '../AriaComponent';
+import keyCodes from '../lib/keyCodes';
+import Search from '../lib/Search';
+import { setUniqueId } from '../lib/uniqueId';
+import { rovingTabIndex } from '../lib/rovingTabIndex';
+import getFirstAndLastItems from '../lib/getFirstAndLastItems';
+
+/**
+ * Class to set up an interactive TreeView element.
+ *
+ * https://www.w3.org/TR/wai-aria-practices-1.1/#TreeView
+ */
+export default class TreeView extends AriaComponent {
+  /**
+   * Get a node's nested list, if present.
+   *
+   * @param {HTMLLIElement} node The tree node.
+   * @return {HTMLUListElement|null}
+   */
+  static getGroup(node) {
+    const [group = null] = Array.from(node.children)
+      .filter((child) => 'UL' === child.nodeName);
+
+    return group;
+  }
+
+  /**
+   * Create a tree node from a loaded item.
+   *
+   * @param {HTMLLIElement|string} item The list item, or the node's text.
+   * @return {HTMLLIElement}
+   */
+  static createNode(item) {
+    if (item instanceof HTMLElement) {
+      return item;
+    }
+
+    const node = document.createElement('li');
+    node.textContent = item;
+
+    return node;
+  }
+
+  /**
+   * Create a TreeView.
+   * @constructor
+   *
+   * @param {object} config The config object.
+   */
+  constructor(config) {
+    super(config);
+
+    /**
+     * The component name.
+     *
+     * @type {string}
+     */
+    this.componentName = 'TreeView';
+
+    /**
+     * Options shape.
+     *
+     * @type {object}
+     */
+    const options = {
+      /**
+       * The tree's list element.
+       *
+       * @type {HTMLUListElement}
+       */
+      list: null,
+
+      /**
+       * The type of node selection.
+       * Options: none, single, multiple
+       *
+       * @type {string}
+       */
+      selection: 'none',
+
+      /**
+       * Callback to load a parent node's children when it's first expanded.
+       * Parent nodes whose children aren't in the DOM are marked with
+       * `aria-expanded="false"`.
+       *
+       * Should return a Promise resolving to an array of list items, or of
+       * the nodes' text. Return list items marked with `aria-expanded="false"`
+       * to load their children lazily as well.
+       *
+       * @callback loadChildrenCallback
+       * @param {HTMLLIElement} node The parent node.
+       * @return {Promise}
+       */
+      loadChildren: null,
+
+      /**
+       * Callback to run when loading a node's children fails. The node is
+       * collapsed, and loading is retried the next time it's expanded.
+       *
+       * @callback loadErrorCallback
+       * @param {HTMLLIElement} node  The parent node.
+       * @param {Error}         error The reason loading failed.
+       */
+      onLoadError: () => {},
+
+      /**
+       * Callback to run after the component initializes.
+       *
+       * @callback initCallback
+       */
+      onInit: () => {},
+
+      /**
+       * Callback to run after component state is updated.
+       *
+       * @callback stateChangeCallback
+       */
+      onStateChange: () => {},
+
+      /**
+       * Callback to run after the component is destroyed.
+       *
+       * @callback destroyCallback
+       */
+      onDestroy: () => {},
+    };
+
+    // Merge config options with defaults.
+    Object.assign(this, options, config);
+
+    // Bind class methods.
+    this.handleListKeydown = this.handleListKeydown.bind(this);
+    this.handleListClicks = this.handleListClicks.bind(this);
+    this.setUpNodes = this.setUpNodes.bind(this);
+    this.collectNodes = this.collectNodes.bind(this);
+    this.isParent = this.isParent.bind(this);
+    this.needsChildren = this.needsChildren.bind(this);
+    this.loadNodeChildren = this.loadNodeChildren.bind(this);
+    this.getParentNode = this.getParentNode.bind(this);
+    this.getVisibleNodes = this.getVisibleNodes.bind(this);
+    this.updateAttributes = this.updateAttributes.bind(this);
+    this.stateWasUpdated = this.stateWasUpdated.bind(this);
+    this.focusNode = this.focusNode.bind(this);
+    this.expand = this.expand.bind(this);
+    this.collapse = this.collapse.bind(this);
+    this.toggle = this.toggle.bind(this);
+    this.expandSiblings = this.expandSiblings.bind(this);
+    this.select = this.select.bind(this);
+    this.deselect = this.deselect.bind(this);
+    this.toggleSelected = this.toggleSelected.bind(this);
+    this.destroy = this.destroy.bind(this);
+
+    // Only initialize if we passed in a <ul>.
+    if (null !== this.list && 'UL' === this.list.nodeName) {
+      this.init();
+    }
+  }
+
+  /**
+   * Set up the component's DOM attributes and event listeners.
+   */
+  init() {
+    /*
+     * A reference to the class instance added to the list element to enable
+     * external interactions with this instance.
+     */
+    super.setSelfReference([this.list]);
+
+    /**
+     * Whether more than one node can be selected.
+     *
+     * @type {boolean}
+     */
+    this.multiselectable = 'multiple' === this.selection;
+
+    // Add the 'tree' role to signify a hierarchical list of nodes.
+    this.list.setAttribute('role', 'tree');
+
+    if (this.multiselectable) {
+      this.list.setAttribute('aria-multiselectable', 'true');
+    }
+
+    /**
+     * Whether parent nodes' children can be loaded lazily.
+     *
+     * @type {boolean}
+     */
+    this.lazy = 'function' === typeof this.loadChildren;
+
+    /**
+     * Incremented when the tree is destroyed, so children which finish loading
+     * afterward are ignored.
+     *
+     * @type {number}
+     */
+    this.requestId = 0;
+
+    // Collect the nodes and set up their attributes.
+    this.setUpNodes();
+
+    /**
+     * Initialize search. The searchable nodes change as nodes are expanded
+     * and collapsed, so they're updated before each search.
+     *
+     * @type {Search}
+     */
+    this.search = new Search([]);
+
+    /**
+     * The initial default state.
+     *
+     * Parent nodes marked with `aria-expanded="true"` are expanded initially.
+     *
+     * @type {object}
+     */
+    this.state = {
+      activeNode: this.nodes[0],
+      expanded: this.parentNodes.filter((node) => (
+        'true' === node.getAttribute('aria-expanded')
+      )),
+      selected: [],
+      loading: [],
+    };
+
+    this.updateAttributes();
+
+    // Add event listeners.
+    this.list.addEventListener('keydown', this.handleListKeydown);
+    this.list.addEventListener('click', this.handleListClicks);
+
+    // Run {initCallback}
+    this.onInit.call(this);
+  }
+
+  /**
+   * Collect the nodes, along with the groups and parent nodes.
+   */
+  setUpNodes() {
+    /**
+     * Nested lists.
+     *
+     * @type {array}
+     */
+    this.groups = [];
+
+    /**
+     * All tree nodes, in DOM order.
+     *
+     * @type {array}
+     */
+    this.nodes = this.collectNodes(this.list, 1);
+
+    /**
+     * Nodes with children, including those whose children have yet to be
+     * loaded.
+     *
+     * @type {array}
+     */
+    this.parentNodes = this.nodes.filter((node) => (
+      null !== this.constructor.getGroup(node)
+      || (this.lazy && node.hasAttribute('aria-expanded'))
+    ));
+  }
+
+  /**
+   * Recursively collect tree nodes, setting up groups along the way.
+   *
+   * @param {HTMLUListElement} list  The list whose nodes to collect.
+   * @param {number}           level The list's depth in the tree.
+   * @return {array} The nodes, in DOM order.
+   */
+  collectNodes(list, level) {
+    return Array.from(list.children).reduce((acc, node) => {
+      node.setAttribute('role', 'treeitem');
+      node.setAttribute('aria-level', level);
+
+      const group = this.constructor.getGroup(node);
+
+      if (null === group) {
+        return [...acc, node];
+      }
+
+      group.setAttribute('role', 'group');
+      this.groups.push(group);
+
+      /*
+       * Label the parent node with its first child, otherwise its accessible
+       * name would include the text of all of its descendants.
+       */
+      const [label] = Array.from(node.children);
+      if (label !== group) {
+        setUniqueId(label);
+        node.setAttribute('aria-labelledby', label.id);
+      }
+
+      return [...acc, node, ...this.collectNodes(group, level + 1)];
+    }, []);
+  }
+
+  /**
+   * Track the active, expanded and selected nodes.
+   *
+   * @param {object} state The component state.
+   * @param {HTMLElement} state.activeNode The node in the tab order.
+   * @param {array}       state.expanded   The expanded parent nodes.
+   * @param {array}       state.selected   The selected nodes.
+   * @param {array}       state.loading    The nodes whose children are loading.
+   */
+  stateWasUpdated() {
+    this.updateAttributes();
+
+    // Run {stateChangeCallback}
+    this.onStateChange.call(this, this.state);
+  }
+
+  /**
+   * Update node and group attributes to reflect the component state.
+   */
+  updateAttributes() {
+    const {
+      activeNode,
+      expanded,
+      selected,
+      loading,
+    } = this.state;
+
+    this.parentNodes.forEach((node) => {
+      const group = this.constructor.getGroup(node);
+      const isExpanded = expanded.includes(node);
+
+      node.setAttribute('aria-expanded', `${isExpanded}`);
+
+      // Indicate that the node's children are loading.
+      if (loading.includes(node)) {
+        node.setAttribute('aria-busy', 'true');
+      } else {
+        node.removeAttribute('aria-busy');
+      }
+
+      if (null === group) {
+        return;
+      }
+
+      if (isExpanded) {
+        group.removeAttribute('hidden');
+      } else {
+        group.setAttribute('hidden', '');
+      }
+    });
+
+    if (this.multiselectable) {
+      // Every node's `aria-selected` attribute reflects its selected state.
+      this.nodes.forEach((node) => {
+        node.setAttribute('aria-selected', `${selected.includes(node)}`);
+      });
+    } else if ('single' === this.selection) {
+      // Only the selected node has the `aria-selected` attribute.
+      this.nodes.forEach((node) => {
+        if (selected.includes(node)) {
+          node.setAttribute('aria-selected', 'true');
+        } else {
+          node.removeAttribute('aria-selected');
+        }
+      });
+    }
+
+    // Only the active node is in the tab order; an empty tree has none.
+    if (undefined !== activeNode) {
+      rovingTabIndex(this.nodes, activeNode);
+      activeNode.setAttribute('tabindex', '0');
+    }
+  }
+
+  /**
+   * Whether the node has children, or may once they're loaded.
+   *
+   * @param {HTMLLIElement} node The tree node.
+   * @return {boolean}
+   */
+  isParent(node) {
+    return this.parentNodes.includes(node);
+  }
+
+  /**
+   * Whether the parent node's children have yet to be loaded.
+   *
+   * @param {HTMLLIElement} node The parent node.
+   * @return {boolean}
+   */
+  needsChildren(node) {
+    return (
+      this.lazy
+      && null === this.constructor.getGroup(node)
+      && ! this.state.loading.includes(node)
+    );
+  }
+
+  /**
+   * Load a parent node's children and add them to the tree.
+   *
+   * @param {HTMLLIElement} node The parent node.
+   */
+  loadNodeChildren(node) {
+    const { loading } = this.state;
+    const { requestId } = this;
+
+    node.removeAttribute('data-load-error');
+    this.setState({ loading: [...loading, node] });
+
+    Promise.resolve()
+      .then(() => this.loadChildren.call(this, node))
+      .then((items) => {
+        // Ignore the children if the tree has since been destroyed.
+        if (requestId !== this.requestId) {
+          return;
+        }
+
+        if (0 < items.length) {
+          const group = document.createElement('ul');
+
+          items.forEach((item) => {
+            group.appendChild(this.constructor.createNode(item));
+          });
+
+          node.appendChild(group);
+        } else {
+          // The node has no children after all.
+          node.removeAttribute('aria-expanded');
+        }
+
+        // Set up the new nodes.
+        this.setUpNodes();
+
+        const { expanded, loading: stillLoading } = this.state;
+        this.setState({
+          loading: stillLoading.filter((loadingNode) => loadingNode !== node),
+          expanded: expanded.filter(this.isParent),
+        });
+      })
+      .catch((error) => {
+        if (requestId !== this.requestId) {
+          return;
+        }
+
+        const { expanded, loading: stillLoading } = this.state;
+
+        // Collapse the node so loading is retried when it's next expanded.
+        node.setAttribute('data-load-error', '');
+
+        this.setState({
+          loading: stillLoading.filter((loadingNode) => loadingNode !== node),
+          expanded: expanded.filter((expandedNode) => expandedNode !== node),
+        });
+
+        // Run {loadErrorCallback}
+        this.onLoadError.call(this, node, error);
+      });
+  }
+
+  /**
+   * Get a node's parent node.
+   *
+   * @param {HTMLLIElement} node The tree node.
+   * @return {HTMLLIElement|null}
+   */
+  getParentNode(node) {
+    const list = node.parentElement;
+
+    return this.groups.includes(list) ? list.parentElement : null;
+  }
+
+  /**
+   * Get the nodes not hidden within a collapsed parent node.
+   *
+   * @return {array}
+   */
+  getVisibleNodes() {
+    const { expanded } = this.state;
+
+    // Parent nodes are always collected before their children.
+    return this.nodes.reduce((acc, node) => {
+      const parentNode = this.getParentNode(node);
+
+      if (
+        null === parentNode
+        || (expanded.includes(parentNode) && acc.includes(parentNode))
+      ) {
+        return [...acc, node];
+      }
+
+      return acc;
+    }, []);
+  }
+
+  /**
+   * Handle keydown events on the tree.
+   *
+   * @param {Event} event The event object.
+   */
+  handleListKeydown(event) {
+    const {
+      UP,
+      DOWN,
+      LEFT,
+      RIGHT,
+      HOME,
+      END,
+      RETURN,
+      SPACE,
+    } = keyCodes;
+    const {
+      keyCode,
+      key,
+      shiftKey,
+      ctrlKey,
+      metaKey,
+    } = event;
+    const { activeNode, expanded } = this.state;
+    const visibleNodes = this.getVisibleNodes();
+    const activeIndex = visibleNodes.indexOf(activeNode);
+
+    // There's nothing to navigate in an empty tree.
+    if (undefined === activeNode) {
+      return;
+    }
+
+    // Expand all of the active node's siblings.
+    if ('*' === key) {
+      event.preventDefault();
+      this.expandSiblings(activeNode);
+
+      return;
+    }
+
+    // Select all visible nodes, or deselect all if all are selected.
+    if (
+      this.multiselectable
+      && (ctrlKey || metaKey)
+      && 'A' === String.fromCharCode(keyCode)
+    ) {
+      event.preventDefault();
+
+      const { selected } = this.state;
+      const allSelected = visibleNodes.every((node) => selected.includes(node));
+      this.setState({ selected: allSelected ? [] : visibleNodes });
+
+      return;
+    }
+
+    switch (keyCode) {
+      /*
+       * Move through the visible nodes, extending the selection with the
+       * Shift key if more than one node can be selected.
+       */
+      case UP:
+      case DOWN: {
+        event.preventDefault();
+
+        const nextNode = visibleNodes[
+          (UP === keyCode) ? activeIndex - 1 : activeIndex + 1
+        ];
+
+        if (undefined !== nextNode) {
+          this.focusNode(nextNode);
+
+          if (this.multiselectable && shiftKey) {
+            this.select(nextNode);
+          }
+        }
+
+        break;
+      }
+
+      /*
+       * Expand a collapsed parent node, or move to an expanded parent node's
+       * first child.
+       */
+      case RIGHT: {
+        event.preventDefault();
+
+        const nextNode = visibleNodes[activeIndex + 1];
+
+        if (! this.isParent(activeNode)) {
+          break;
+        }
+
+        if (! expanded.includes(activeNode)) {
+          this.expand(activeNode);
+        } else if (
+          undefined !== nextNode
+          && this.getParentNode(nextNode) === activeNode
+        ) {
+          // Children may still be loading.
+          this.focusNode(nextNode);
+        }
+
+        break;
+      }
+
+      /*
+       * Collapse an expanded parent node, or move to the node's parent.
+       */
+      case LEFT: {
+        event.preventDefault();
+
+        if (expanded.includes(activeNode)) {
+          this.collapse(activeNode);
+        } else {
+          const parentNode = this.getParentNode(activeNode);
+
+          if (null !== parentNode) {
+            this.focusNode(parentNode);
+          }
+        }
+
+        break;
+      }
+
+      /*
+       * Move to the first visible node.
+       */
+      case HOME: {
+        event.preventDefault();
+
+        const [firstNode] = getFirstAndLastItems(visibleNodes);
+        this.focusNode(firstNode);
+
+        break;
+      }
+
+      /*
+       * Move to the last visible node.
+       */
+      case END: {
+        event.preventDefault();
+
+        const [, lastNode] = getFirstAndLastItems(visibleNodes);
+        this.focusNode(lastNode);
+
+        break;
+      }
+
+      /*
+       * Select the active node if nodes are selectable, otherwise toggle the
+       * active parent node with the RETURN key.
+       */
+      case RETURN:
+      case SPACE: {
+        if ('none' !== this.selection) {
+          event.preventDefault();
+          this.toggleSelected(activeNode);
+        } else if (
+          RETURN === keyCode
+          && this.isParent(activeNode)
+        ) {
+          event.preventDefault();
+          this.toggle(activeNode);
+        }
+
+        break;
+      }
+
+      /*
+       * Move to the visible node matching a search string created by
+       * collecting key presses.
+       */
+      default: {
+        this.search.items = visibleNodes.map((node) => {
+          const labelId = node.getAttribute('aria-labelledby');
+
+          return (null !== labelId) ? document.getElementById(labelId) : node;
+        });
+
+        const match = this.search.getItem(keyCode);
+
+        if (null !== match) {
+          this.focusNode(match.closest('[role="treeitem"]'));
+        }
+
+        break;
+      }
+    }
+  }
+
+  /**
+   * Activate, select and toggle clicked nodes.
+   *
+   * @param {Event} event The event object.
+   */
+  handleListClicks(event) {
+    const node = event.target.closest('[role="treeitem"]');
+
+    if (! this.nodes.includes(node)) {
+      return;
+    }
+
+    this.focusNode(node);
+
+    if ('none' !== this.selection) {
+      this.toggleSelected(node);
+    }
+
+    if (this.isParent(node)) {
+      this.toggle(node);
+    }
+  }
+
+  /**
+   * Move focus to the given node, making it the active node.
+   *
+   * @param {HTMLLIElement} node The node to focus.
+   */
+  focusNode(node) {
+    this.setState({ activeNode: node });
+    node.focus();
+  }
+
+  /**
+   * Expand a parent node, loading its children if they haven't been loaded.
+   *
+   * @param {HTMLLIElement} node The node to expand.
+   */
+  expand(node) {
+    const { expanded } = this.state;
+
+    if (this.isParent(node) && ! expanded.includes(node)) {
+      this.setState({ expanded: [...expanded, node] });
+
+      if (this.needsChildren(node)) {
+        this.loadNodeChildren(node);
+      }
+    }
+  }
+
+  /**
+   * Collapse a parent node. The node becomes active if the active node is
+   * hidden within it.
+   *
+   * @param {HTMLLIElement} node The node to collapse.
+   */
+  collapse(node) {
+    const { activeNode, expanded } = this.state;
+
+    if (expanded.includes(node)) {
+      const hidesActiveNode = (
+        node !== activeNode && node.contains(activeNode)
+      );
+
+      this.setState({
+        expanded: expanded.filter((expandedNode) => expandedNode !== node),
+        activeNode: hidesActiveNode ? node : activeNode,
+      });
+
+      if (hidesActiveNode && this.list.contains(document.activeElement)) {
+        node.focus();
+      }
+    }
+  }
+
+  /**
+   * Toggle a parent node's expanded state.
+   *
+   * @param {HTMLLIElement} node The node to toggle.
+   */
+  toggle(node) {
+    if (this.state.expanded.includes(node)) {
+      this.collapse(node);
+    } else {
+      this.expand(node);
+    }
+  }
+
+  /**
+   * Expand the given node and all of its sibling parent nodes.
+   *
+   * @param {HTMLLIElement} node The node whose siblings to expand.
+   */
+  expandSiblings(node) {
+    const { expanded } = this.state;
+
+    const siblings = Array.from(node.parentElement.children).filter(
+      (sibling) => (
+        this.isParent(sibling) && ! expanded.includes(sibling)
+      )
+    );
+
+    this.setState({ expanded: [...expanded, ...siblings] });
+
+    siblings.filter(this.needsChildren).forEach(this.loadNodeChildren);
+  }
+
+  /**
+   * Add a node to the selection. Selects the node outright when only one node
+   * can be selected.
+   *
+   * @param {HTMLLIElement} node The node to select.
+   */
+  select(node) {
+    const { selected } = this.state;
+
+    if ('none' === this.selection || ! this.nodes.includes(node)) {
+      return;
+    }
+
+    if (! this.multiselectable) {
+      this.setState({ selected: [node] });
+    } else if (! selected.includes(node)) {
+      // Keep the selection in DOM order.
+      this.setState({
+        selected: this.nodes.filter((treeNode) => (
+          treeNode === node || selected.includes(treeNode)
+        )),
+      });
+    }
+  }
+
+  /**
+   * Remove a node from the selection.
+   *
+   * @param {HTMLLIElement} node The node to deselect.
+   */
+  deselect(node) {
+    const { selected } = this.state;
+
+    this.setState({
+      selected: selected.filter((selectedNode) => selectedNode !== node),
+    });
+  }
+
+  /**
+   * Toggle a node's selected state. Nodes are only deselected when more than
+   * one node can be selected.
+   *
+   * @param {HTMLLIElement} node The node to toggle.
+   */
+  toggleSelected(node) {
+    if (this.multiselectable && this.state.selected.includes(node)) {
+      this.deselect(node);
+    } else {
+      this.select(node);
+    }
+  }
+
+  /**
+   * Destroy the TreeView.
+   */
+  destroy() {
+    // Ignore pending requests for nodes' children.
+    this.requestId += 1;
+
+    // Remove the reference to the class instance.
+    this.deleteSelfReferences();
+
+    // Remove the list's attributes.
+    this.list.removeAttribute('role');
+    this.list.removeAttribute('aria-multiselectable');
+
+    // Remove event listeners.
+    this.list.removeEventListener('keydown', this.handleListKeydown);
+    this.list.removeEventListener('click', this.handleListClicks);
+
+    // Remove the nodes' attributes.
+    this.nodes.forEach((node) => {
+      node.removeAttribute('role');
+      node.removeAttribute('aria-level');
+      node.removeAttribute('aria-expanded');
+      node.removeAttribute('aria-selected');
+      node.removeAttribute('aria-busy');
+      node.removeAttribute('data-load-error');
+      node.removeAttribute('tabindex');
+
+      // Keep marking parent nodes whose children have yet to be loaded.
+      if (this.isParent(node) && null === this.constructor.getGroup(node)) {
+        node.setAttribute('aria-expanded', 'false');
+      }
+    });
+
+    // Remove the groups' attributes, and their parent nodes' labels.
+    this.groups.forEach((group) => {
+      const node = group.parentElement;
+      const labelId = node.getAttribute('aria-labelledby');
+
+      // Remove IDs set by this class.
+      if (null !== labelId) {
+        const label = document.getElementById(labelId);
+        if (label.getAttribute('id').includes('id_')) {
+          label.removeAttribute('id');
+        }
+
+        node.removeAttribute('aria-labelledby');
+      }
+
+      group.removeAttribute('role');
+      group.removeAttribute('hidden');
+    });
+
+    // Run {destroyCallback}
+    this.onDestroy.call(this);
+  }
+}
@@ -0,0 +1,23 @@
+/**
+ * Track the active option via the `aria-activedescendant` attribute on the
+ * element retaining focus, moving the `aria-selected` attribute from the
+ * previously-active option to the newly-active option.
+ * https://www.w3.org/TR/wai-aria-practices-1.2/#kbd_focus_activedescendant
+ *
+ * @param {HTMLElement}      owner            The element retaining focus.
+ * @param {array}            options          The options.
+ * @param {HTMLElement|null} activeDescendant The newly-active option, if any.
+ */
+export default function setActiveDescendant(owner, options, activeDescendant) {
+  options
+    .filter((option) => 'true' === option.getAttribute('aria-selected'))
+    .forEach((option) => option.removeAttribute('aria-selected'));
+
+  if (null === activeDescendant) {
+    owner.removeAttribute('aria-activedescendant');
+    return;
+  }
+
+  activeDescendant.setAttribute('aria-selected', 'true');
+  owner.setAttribute('aria-activedescendant', activeDescendant.id);
+}
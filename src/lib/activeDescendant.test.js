@@ -0,0 +1,38 @@
+import setActiveDescendant from './activeDescendant';
+
+// Set up our document body
+document.body.innerHTML = `
+  <input type="text">
+  <ul>
+    <li id="first"></li>
+    <li id="last"></li>
+  </ul>
+`;
+
+const input = document.querySelector('input');
+const options = Array.from(document.querySelectorAll('li'));
+const [first, last] = options;
+
+describe('Tracks the active option', () => {
+  it('Should mark the active option as selected', () => {
+    setActiveDescendant(input, options, first);
+
+    expect(input.getAttribute('aria-activedescendant')).toEqual('first');
+    expect(first.getAttribute('aria-selected')).toEqual('true');
+  });
+
+  it('Should move the selection to the newly-active option', () => {
+    setActiveDescendant(input, options, last);
+
+    expect(input.getAttribute('aria-activedescendant')).toEqual('last');
+    expect(first.getAttribute('aria-selected')).toBeNull();
+    expect(last.getAttribute('aria-selected')).toEqual('true');
+  });
+
+  it('Should remove the attributes without an active option', () => {
+    setActiveDescendant(input, options, null);
+
+    expect(input.getAttribute('aria-activedescendant')).toBeNull();
+    expect(last.getAttribute('aria-selected')).toBeNull();
+  });
+});
@@ -0,0 +1,39 @@
+/**
+ * Create a function that delays calling the callback until `delay`
+ * milliseconds have passed since it was last called.
+ *
+ * @param {function} callback The function to debounce.
+ * @param {number}   delay    The number of milliseconds to wait.
+ * @return {function} The debounced function, with a `cancel` method.
+ */
+export default function debounce(callback, delay) {
+  let timeout = null;
+
+  /**
+   * Clear the pending call, if any.
+   */
+  function cancel() {
+    if (null !== timeout) {
+      clearTimeout(timeout);
+      timeout = null;
+    }
+  }
+
+  /**
+   * Reset the timer and call the callback once it expires.
+   *
+   * @param {...*} args The arguments with which to call the callback.
+   */
+  function debounced(...args) {
+    cancel();
+
+    timeout = setTimeout(() => {
+      timeout = null;
+      callback(...args);
+    }, delay);
+  }
+
+  debounced.cancel = cancel;
+
+  return debounced;
+}
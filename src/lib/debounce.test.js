@@ -0,0 +1,31 @@
+import debounce from './debounce';
+
+jest.useFakeTimers();
+
+describe('Debounces a function', () => {
+  it('Should only call the callback once the delay has passed', () => {
+    const callback = jest.fn();
+    const debounced = debounce(callback, 250);
+
+    debounced('a');
+    jest.advanceTimersByTime(100);
+    debounced('ab');
+    jest.advanceTimersByTime(100);
+    expect(callback).not.toHaveBeenCalled();
+
+    jest.advanceTimersByTime(150);
+    expect(callback).toHaveBeenCalledTimes(1);
+    expect(callback).toHaveBeenCalledWith('ab');
+  });
+
+  it('Should not call the callback once cancelled', () => {
+    const callback = jest.fn();
+    const debounced = debounce(callback, 250);
+
+    debounced();
+    debounced.cancel();
+    jest.advanceTimersByTime(250);
+
+    expect(callback).not.toHaveBeenCalled();
+  });
+});
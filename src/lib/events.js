@@ -87,6 +87,12 @@ const events = {
       { keyCode: 40, bubbles: true }
     )
   ),
+  keydownDelete: (
+    new KeyboardEvent(
+      'keydown',
+      { keyCode: 46, bubbles: true }
+    )
+  ),
 };
 
 /**
@@ -102,7 +108,22 @@ function typeCharacter(character) {
   );
 }
 
+/**
+ * Allow pending Promise callbacks to run.
+ *
+ * @return {Promise}
+ */
+function flushPromises() {
+  let promise = Promise.resolve();
+  for (let i = 0; 10 > i; i += 1) {
+    promise = promise.then();
+  }
+
+  return promise;
+}
+
 export {
   events,
   typeCharacter,
+  flushPromises,
 };
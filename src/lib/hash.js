@@ -0,0 +1,69 @@
+/**
+ * Get the element identified by the URL hash, if any.
+ *
+ * @return {HTMLElement|null}
+ */
+function getHashElement() {
+  const hash = window.location.hash.slice(1);
+  let id;
+
+  // Fall back to the raw hash if it isn't valid percent-encoding, e.g. `#100%`.
+  try {
+    id = decodeURIComponent(hash);
+  } catch (error) {
+    id = hash;
+  }
+
+  return ('' === id) ? null : document.getElementById(id);
+}
+
+/**
+ * Check if the URL hash identifies the given element or one of its descendants.
+ *
+ * @param {HTMLElement} element The element to check.
+ * @return {Boolean}
+ */
+function hashMatches(element) {
+  const hashElement = getHashElement();
+
+  return null !== hashElement && element.contains(hashElement);
+}
+
+/**
+ * Scroll the element identified by the URL hash into view. The browser can't
+ * scroll to it on its own while it's hidden, so this is needed once it's
+ * revealed.
+ */
+function scrollToHashElement() {
+  const hashElement = getHashElement();
+
+  if (
+    null !== hashElement
+    && 'function' === typeof hashElement.scrollIntoView
+  ) {
+    hashElement.scrollIntoView({ behavior: 'smooth' });
+  }
+}
+
+/**
+ * Replace the URL hash without adding a history entry or scrolling the page.
+ *
+ * @param {String} id The ID to use as the hash, or an empty string to remove it.
+ */
+function replaceHash(id) {
+  const { pathname, search } = window.location;
+  const hash = ('' === id) ? '' : `#${id}`;
+
+  window.history.replaceState(
+    window.history.state,
+    '',
+    `${pathname}${search}${hash}`
+  );
+}
+
+export {
+  getHashElement,
+  hashMatches,
+  scrollToHashElement,
+  replaceHash,
+};
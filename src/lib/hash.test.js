@@ -0,0 +1,76 @@
+import {
+  getHashElement,
+  hashMatches,
+  scrollToHashElement,
+  replaceHash,
+} from './hash';
+
+describe('Reads and writes the URL hash', () => {
+  // Set up our document body
+  document.body.innerHTML = `
+    <div id="panel">
+      <h2 id="panel heading">Heading</h2>
+    </div>
+    <div id="other"></div>
+  `;
+
+  const panel = document.getElementById('panel');
+  const heading = document.getElementById('panel heading');
+  const other = document.getElementById('other');
+
+  afterEach(() => {
+    replaceHash('');
+  });
+
+  it('Should get the element identified by the hash', () => {
+    expect(getHashElement()).toBeNull();
+
+    replaceHash('panel%20heading');
+    expect(getHashElement()).toEqual(heading);
+
+    replaceHash('missing');
+    expect(getHashElement()).toBeNull();
+  });
+
+  it('Should fall back to the raw hash when it is malformed', () => {
+    other.id = '100%';
+    replaceHash('100%');
+
+    expect(getHashElement()).toEqual(other);
+    expect(hashMatches(panel)).toBeFalsy();
+
+    other.id = 'other';
+  });
+
+  it('Should scroll the element identified by the hash into view', () => {
+    heading.scrollIntoView = jest.fn();
+
+    // Nothing to scroll to.
+    scrollToHashElement();
+
+    replaceHash('panel%20heading');
+    scrollToHashElement();
+    expect(heading.scrollIntoView).toHaveBeenCalledTimes(1);
+
+    delete heading.scrollIntoView;
+  });
+
+  it('Should match the identified element and its ancestors', () => {
+    replaceHash('panel%20heading');
+
+    expect(hashMatches(heading)).toBeTruthy();
+    expect(hashMatches(panel)).toBeTruthy();
+    expect(hashMatches(other)).toBeFalsy();
+  });
+
+  it('Should replace the hash without adding a history entry', () => {
+    const { length } = window.history;
+
+    replaceHash('other');
+    expect(window.location.hash).toEqual('#other');
+
+    replaceHash('');
+    expect(window.location.hash).toEqual('');
+    expect(window.history.length).toEqual(length);
+  });
+});
@@ -0,0 +1,9 @@
+/**
+ * Check if the browser supports `hidden="until-found"`, which allows
+ * find-in-page to reach hidden content.
+ *
+ * @return {Boolean}
+ */
+export default function supportsHiddenUntilFound() {
+  return 'onbeforematch' in document.body;
+}
@@ -0,0 +1,14 @@
+import supportsHiddenUntilFound from './hiddenUntilFound';
+
+describe('Checks for hidden="until-found" support', () => {
+  it('Should not be supported without the beforematch event', () => {
+    expect(supportsHiddenUntilFound()).toBeFalsy();
+  });
+
+  it('Should be supported with the beforematch event', () => {
+    document.body.onbeforematch = null;
+    expect(supportsHiddenUntilFound()).toBeTruthy();
+
+    delete document.body.onbeforematch;
+  });
+});
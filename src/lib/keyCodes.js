@@ -12,6 +12,7 @@ const keyCodes = Object.freeze({
   UP: 38,
   RIGHT: 39,
   DOWN: 40,
+  DELETE: 46,
 });
 
 export default keyCodes;
@@ -0,0 +1,118 @@
+/**
+ * Get the elements a component hides.
+ *
+ * @param {AriaComponent} component The component instance.
+ * @return {array}
+ */
+function getHiddenElements(component) {
+  const { componentName } = component;
+
+  if ('Tablist' === componentName) {
+    return component.panels;
+  }
+
+  if ('Disclosure' === componentName) {
+    return [component.target];
+  }
+
+  // Components composed of Disclosures, such as the Accordion.
+  if (Array.isArray(component.disclosures)) {
+    return component.disclosures.map(({ target }) => target);
+  }
+
+  return [];
+}
+
+/**
+ * Reveal the content hidden by Disclosures and Tablists while the page is
+ * printed, then restore the previous attributes once printing is done.
+ *
+ * Component state is left untouched, so no state change callbacks run.
+ *
+ * @param {array} components The component instances to expand.
+ * @return {Function} A function to stop expanding the components for print.
+ */
+export default function printExpand(components) {
+  let saved = [];
+
+  /**
+   * Reveal the hidden elements, saving their attributes.
+   */
+  function expand() {
+    // Both the print events and the media query may signal printing.
+    if (0 < saved.length) {
+      return;
+    }
+
+    saved = components
+      .reduce((acc, component) => [...acc, ...getHiddenElements(component)], [])
+      .map((element) => {
+        const attributes = {
+          element,
+          hidden: element.getAttribute('hidden'),
+          ariaHidden: element.getAttribute('aria-hidden'),
+        };
+
+        element.removeAttribute('hidden');
+        if (null !== attributes.ariaHidden) {
+          element.setAttribute('aria-hidden', 'false');
+        }
+
+        return attributes;
+      });
+  }
+
+  /**
+   * Restore the saved attributes.
+   */
+  function restore() {
+    saved.forEach(({ element, hidden, ariaHidden }) => {
+      if (null !== hidden) {
+        element.setAttribute('hidden', hidden);
+      }
+
+      if (null !== ariaHidden) {
+        element.setAttribute('aria-hidden', ariaHidden);
+      }
+    });
+
+    saved = [];
+  }
+
+  /**
+   * Expand or restore the components as the print media query changes.
+   *
+   * @param {MediaQueryListEvent} event The event object.
+   */
+  function handlePrintChange({ matches }) {
+    if (matches) {
+      expand();
+    } else {
+      restore();
+    }
+  }
+
+  window.addEventListener('beforeprint', expand);
+  window.addEventListener('afterprint', restore);
+
+  // Some browsers only signal printing via the media query.
+  const printQuery = ('function' === typeof window.matchMedia)
+    ? window.matchMedia('print')
+    : null;
+
+  if (null !== printQuery) {
+    // `addListener` is used for compatibility with older versions of Safari.
+    printQuery.addListener(handlePrintChange);
+  }
+
+  return () => {
+    restore();
+
+    window.removeEventListener('beforeprint', expand);
+    window.removeEventListener('afterprint', restore);
+
+    if (null !== printQuery) {
+      printQuery.removeListener(handlePrintChange);
+    }
+  };
+}
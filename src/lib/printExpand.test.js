@@ -0,0 +1,112 @@
+/* eslint-disable max-len */
+import { Disclosure, Tablist } from 'root';
+import printExpand from './printExpand';
+
+const printMarkup = `
+  <button class="button">Details</button>
+  <div class="details"><p>Printed details</p></div>
+  <ul class="tablist">
+    <li><a href="#first-panel">First</a></li>
+    <li><a href="#second-panel">Second</a></li>
+  </ul>
+  <div id="first-panel" class="panel"><p>First panel</p></div>
+  <div id="second-panel" class="panel"><p>Second panel</p></div>
+`;
+
+// Set up our document body
+document.body.innerHTML = printMarkup;
+
+const target = document.querySelector('.details');
+const [firstPanel, secondPanel] = Array.from(document.querySelectorAll('.panel'));
+
+const onStateChange = jest.fn();
+
+const disclosure = new Disclosure({
+  controller: document.querySelector('.button'),
+  target,
+  onStateChange,
+});
+
+const tablist = new Tablist({
+  tabs: document.querySelector('.tablist'),
+  panels: document.querySelectorAll('.panel'),
+  onStateChange,
+});
+
+describe('Expands components for print', () => {
+  let stopPrintExpand;
+
+  beforeAll(() => {
+    stopPrintExpand = printExpand([disclosure, tablist]);
+  });
+
+  it('Should reveal hidden content before printing', () => {
+    window.dispatchEvent(new Event('beforeprint'));
+
+    expect(target.getAttribute('hidden')).toBeNull();
+    expect(target.getAttribute('aria-hidden')).toEqual('false');
+    expect(secondPanel.getAttribute('hidden')).toBeNull();
+    expect(secondPanel.getAttribute('aria-hidden')).toEqual('false');
+
+    // Component state is unchanged.
+    expect(disclosure.getState().expanded).toBeFalsy();
+    expect(tablist.getState().activeIndex).toEqual(0);
+    expect(onStateChange).not.toHaveBeenCalled();
+  });
+
+  it('Should restore the previous attributes after printing', () => {
+    window.dispatchEvent(new Event('afterprint'));
+
+    expect(target.getAttribute('hidden')).toEqual('');
+    expect(target.getAttribute('aria-hidden')).toEqual('true');
+    expect(firstPanel.getAttribute('hidden')).toBeNull();
+    expect(firstPanel.getAttribute('aria-hidden')).toEqual('false');
+    expect(secondPanel.getAttribute('hidden')).toEqual('');
+    expect(secondPanel.getAttribute('aria-hidden')).toEqual('true');
+  });
+
+  it('Should stop expanding components when stopped', () => {
+    window.dispatchEvent(new Event('beforeprint'));
+    stopPrintExpand();
+
+    // Content revealed for print is restored.
+    expect(target.getAttribute('hidden')).toEqual('');
+
+    window.dispatchEvent(new Event('beforeprint'));
+    expect(target.getAttribute('hidden')).toEqual('');
+  });
+});
+
+describe('Expands components for print via the print media query', () => {
+  const printQuery = {
+    addListener: jest.fn(),
+    removeListener: jest.fn(),
+  };
+
+  beforeAll(() => {
+    window.matchMedia = jest.fn(() => printQuery);
+  });
+
+  afterAll(() => {
+    delete window.matchMedia;
+  });
+
+  it('Should expand and restore as the media query changes', () => {
+    const stopPrintExpand = printExpand([disclosure]);
+    const [[handlePrintChange]] = printQuery.addListener.mock.calls;
+
+    expect(window.matchMedia).toHaveBeenCalledWith('print');
+
+    handlePrintChange({ matches: true });
+    expect(target.getAttribute('hidden')).toBeNull();
+
+    // Expanding twice doesn't overwrite the saved attributes.
+    window.dispatchEvent(new Event('beforeprint'));
+
+    handlePrintChange({ matches: false });
+    expect(target.getAttribute('hidden')).toEqual('');
+
+    stopPrintExpand();
+    expect(printQuery.removeListener).toHaveBeenCalledWith(handlePrintChange);
+  });
+});
@@ -0,0 +1,22 @@
+/**
+ * If the container is scrollable, and the element is not visible, scroll the
+ * container such that the element is within its bounds.
+ *
+ * @param {HTMLElement} container The scrollable element.
+ * @param {HTMLElement} element   The element to scroll into view.
+ */
+export default function scrollIntoView(container, element) {
+  const { scrollHeight, clientHeight, scrollTop } = container;
+  const { offsetTop, offsetHeight } = element;
+
+  if (scrollHeight > clientHeight) {
+    const scrollBottom = clientHeight + scrollTop;
+    const elementBottom = offsetTop + offsetHeight;
+
+    if (elementBottom > scrollBottom) {
+      container.scrollTop = elementBottom - clientHeight;
+    } else if (offsetTop < scrollTop) {
+      container.scrollTop = offsetTop;
+    }
+  }
+}
@@ -0,0 +1,53 @@
+import scrollIntoView from './scrollIntoView';
+
+// Set up our document body
+document.body.innerHTML = `
+  <ul>
+    <li class="first"></li>
+    <li class="last"></li>
+  </ul>
+`;
+
+const list = document.querySelector('ul');
+const first = document.querySelector('.first');
+const last = document.querySelector('.last');
+
+/**
+ * Mock layout properties, since jsdom doesn't do layout.
+ *
+ * @param {HTMLElement} element    The element to mock.
+ * @param {object}      properties The property values.
+ */
+function mockLayout(element, properties) {
+  Object.keys(properties).forEach((property) => {
+    Object.defineProperty(
+      element,
+      property,
+      { value: properties[property], configurable: true }
+    );
+  });
+}
+
+mockLayout(list, { scrollHeight: 200, clientHeight: 100 });
+mockLayout(first, { offsetTop: 0, offsetHeight: 50 });
+mockLayout(last, { offsetTop: 150, offsetHeight: 50 });
+
+describe('Scrolls an element into view', () => {
+  it('Should scroll down to an element below the fold', () => {
+    list.scrollTop = 0;
+    scrollIntoView(list, last);
+    expect(list.scrollTop).toEqual(100);
+  });
+
+  it('Should scroll up to an element above the fold', () => {
+    list.scrollTop = 100;
+    scrollIntoView(list, first);
+    expect(list.scrollTop).toEqual(0);
+  });
+
+  it('Should not scroll when the element is visible', () => {
+    list.scrollTop = 100;
+    scrollIntoView(list, last);
+    expect(list.scrollTop).toEqual(100);
+  });
+});
@@ -0,0 +1,161 @@
+/**
+ * Check if the user has asked to minimize non-essential motion.
+ *
+ * @return {Boolean}
+ */
+function prefersReducedMotion() {
+  return (
+    'function' === typeof window.matchMedia
+    && window.matchMedia('(prefers-reduced-motion: reduce)').matches
+  );
+}
+
+/**
+ * Force the browser to apply pending style changes.
+ *
+ * @param {HTMLElement} element The element to reflow.
+ * @return {Number}
+ */
+function reflow(element) {
+  return element.offsetHeight;
+}
+
+/**
+ * Run a CSS transition or animation on an element by applying classes named
+ * for the transition and its direction, and call the callback once it ends.
+ *
+ * The `{name}-{direction}-from` and `{name}-{direction}-active` classes are
+ * added, then `{name}-{direction}-from` is swapped for `{name}-{direction}-to`.
+ * All three are removed once the element's first `transitionend` or
+ * `animationend` event fires, or once the timeout passes, whichever is first.
+ *
+ * @param {HTMLElement} element   The element to transition.
+ * @param {String}      name      The prefix for the transition classes.
+ * @param {String}      direction The transition direction; `enter` or `leave`.
+ * @param {Function}    callback  The function to call when the transition ends.
+ * @param {Number}      timeout   The maximum transition duration, in milliseconds.
+ * @return {Function} A function to cancel the transition without calling the callback.
+ */
+function transition(element, name, direction, callback, timeout = 1000) {
+  const from = `${name}-${direction}-from`;
+  const active = `${name}-${direction}-active`;
+  const to = `${name}-${direction}-to`;
+
+  let timer = null;
+  let end = null;
+
+  /**
+   * Remove the transition classes and stop listening for the transition end.
+   */
+  function cancel() {
+    clearTimeout(timer);
+    element.classList.remove(from, active, to);
+
+    element.removeEventListener('transitionend', end);
+    element.removeEventListener('animationend', end);
+  }
+
+  /**
+   * End the transition, ignoring events bubbled from child elements.
+   *
+   * @param {Event} event The event object, if any.
+   */
+  end = (event) => {
+    if (undefined === event || element === event.target) {
+      cancel();
+      callback();
+    }
+  };
+
+  element.classList.add(from, active);
+
+  // Apply the starting styles before swapping them for the ending styles.
+  reflow(element);
+
+  element.classList.remove(from);
+  element.classList.add(to);
+
+  element.addEventListener('transitionend', end);
+  element.addEventListener('animationend', end);
+  timer = setTimeout(end, timeout);
+
+  return cancel;
+}
+
+/**
+ * Stop a component's running transition, if any, without calling its callback.
+ *
+ * @param {AriaComponent} component The component whose transition to stop.
+ */
+function stopTransition(component) {
+  if (null !== component.cancelTransition) {
+    component.cancelTransition();
+    Object.assign(component, { cancelTransition: null });
+  }
+}
+
+/**
+ * Get the state for a component's `expanded` value, which also tracks the
+ * opening and closing states if the component transitions.
+ *
+ * @param {AriaComponent} component The component.
+ * @param {Boolean}       expanded  The `expanded` state.
+ * @return {Object}
+ */
+function getExpandedState(component, expanded) {
+  if ('' === component.transition) {
+    return { expanded };
+  }
+
+  return { expanded, opening: false, closing: false };
+}
+
+/**
+ * Update a component's expanded state, running the enter or leave transition
+ * on its target unless the user prefers reduced motion.
+ *
+ * The component's `transition`, `transitionTimeout` and `cancelTransition`
+ * properties are used to run the transition and track its cancel function.
+ *
+ * @param {AriaComponent} component The component to update.
+ * @param {Boolean}       expanded  The expected `expanded` state.
+ */
+function setExpandedState(component, expanded) {
+  if ('' === component.transition) {
+    component.setState({ expanded });
+    return;
+  }
+
+  stopTransition(component);
+
+  const animate = ! prefersReducedMotion();
+
+  component.setState({
+    expanded,
+    opening: animate && expanded,
+    closing: animate && ! expanded,
+  });
+
+  if (animate) {
+    Object.assign(component, {
+      cancelTransition: transition(
+        component.target,
+        component.transition,
+        expanded ? 'enter' : 'leave',
+        () => {
+          Object.assign(component, { cancelTransition: null });
+          component.setState({ opening: false, closing: false });
+        },
+        component.transitionTimeout
+      ),
+    });
+  }
+}
+
+export {
+  prefersReducedMotion,
+  transition,
+  stopTransition,
+  getExpandedState,
+  setExpandedState,
+};
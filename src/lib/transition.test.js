@@ -0,0 +1,140 @@
+import {
+  prefersReducedMotion,
+  transition,
+  getExpandedState,
+  setExpandedState,
+} from './transition';
+
+jest.useFakeTimers();
+
+document.body.innerHTML = '<div class="panel"><p>Content</p></div>';
+
+const element = document.querySelector('.panel');
+
+describe('Runs a CSS transition', () => {
+  it('Should apply the transition classes until the transition ends', () => {
+    const callback = jest.fn();
+
+    transition(element, 'fade', 'enter', callback);
+
+    expect(element.classList.contains('fade-enter-from')).toBeFalsy();
+    expect(element.classList.contains('fade-enter-active')).toBeTruthy();
+    expect(element.classList.contains('fade-enter-to')).toBeTruthy();
+
+    element.dispatchEvent(new Event('animationend'));
+
+    expect(callback).toHaveBeenCalledTimes(1);
+    expect(element.className).toEqual('panel');
+
+    // The timeout is cleared once the transition ends.
+    jest.runAllTimers();
+    expect(callback).toHaveBeenCalledTimes(1);
+  });
+
+  it('Should end the transition once the timeout passes', () => {
+    const callback = jest.fn();
+
+    transition(element, 'fade', 'leave', callback, 500);
+
+    jest.advanceTimersByTime(499);
+    expect(callback).not.toHaveBeenCalled();
+
+    jest.advanceTimersByTime(1);
+    expect(callback).toHaveBeenCalledTimes(1);
+    expect(element.className).toEqual('panel');
+  });
+
+  it('Should not call the callback once cancelled', () => {
+    const callback = jest.fn();
+    const cancel = transition(element, 'fade', 'leave', callback);
+
+    cancel();
+    element.dispatchEvent(new Event('transitionend'));
+    jest.runAllTimers();
+
+    expect(callback).not.toHaveBeenCalled();
+    expect(element.className).toEqual('panel');
+  });
+});
+
+describe('Checks the reduced motion preference', () => {
+  afterEach(() => {
+    delete window.matchMedia;
+  });
+
+  it('Should not prefer reduced motion without matchMedia support', () => {
+    expect(prefersReducedMotion()).toBeFalsy();
+  });
+
+  it('Should match the reduced motion media query', () => {
+    window.matchMedia = jest.fn(() => ({ matches: true }));
+
+    expect(prefersReducedMotion()).toBeTruthy();
+    expect(window.matchMedia)
+      .toHaveBeenCalledWith('(prefers-reduced-motion: reduce)');
+  });
+});
+
+describe('Updates a component\'s expanded state', () => {
+  /**
+   * Create a minimal component to transition.
+   *
+   * @param {string} name The transition name.
+   * @return {object}
+   */
+  const createComponent = (name) => {
+    const component = {
+      target: element,
+      transition: name,
+      transitionTimeout: 500,
+      cancelTransition: null,
+      state: {},
+    };
+
+    component.setState = jest.fn((newState) => {
+      Object.assign(component.state, newState);
+    });
+
+    return component;
+  };
+
+  it('Should track the opening and closing states with a transition', () => {
+    expect(getExpandedState(createComponent(''), true))
+      .toEqual({ expanded: true });
+    expect(getExpandedState(createComponent('fade'), false))
+      .toEqual({ expanded: false, opening: false, closing: false });
+  });
+
+  it('Should update the state without a transition', () => {
+    const component = createComponent('');
+
+    setExpandedState(component, true);
+
+    expect(component.state).toEqual({ expanded: true });
+    expect(element.className).toEqual('panel');
+  });
+
+  it('Should track the transition until it ends', () => {
+    const component = createComponent('fade');
+
+    setExpandedState(component, true);
+
+    expect(component.state)
+      .toEqual({ expanded: true, opening: true, closing: false });
+    expect(element.classList.contains('fade-enter-active')).toBeTruthy();
+
+    // A new transition cancels the running one.
+    setExpandedState(component, false);
+
+    expect(component.state)
+      .toEqual({ expanded: false, opening: false, closing: true });
+    expect(element.classList.contains('fade-enter-active')).toBeFalsy();
+
+    jest.advanceTimersByTime(500);
+
+    expect(component.state)
+      .toEqual({ expanded: false, opening: false, closing: false });
+    expect(component.cancelTransition).toBeNull();
+    expect(element.className).toEqual('panel');
+  });
+});
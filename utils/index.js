@@ -7,6 +7,7 @@ import { tabIndexAllow, tabIndexDeny, rovingTabIndex } from '../src/lib/rovingTa
 import { getUniqueId, setUniqueId } from '../src/lib/uniqueId';
 import Search from '../src/lib/Search';
 import getFirstAndLastItems from '../src/lib/getFirstAndLastItems';
+import printExpand from '../src/lib/printExpand';
 
 export {
   interactiveChildren,
@@ -18,4 +19,5 @@ export {
   setUniqueId,
   Search,
   getFirstAndLastItems,
+  printExpand,
 };